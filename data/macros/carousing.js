@@ -0,0 +1,16 @@
+/**
+ ****************************************************************
+ * This macro opens the Carousing app, where characters can spend
+ * their gold on a night of carousing in return for XP.
+ *
+ * Game Masters can run the app for the whole party at once,
+ * while players run it for their own character.
+ *
+ * The carousing tiers and outcome table can be configured in the
+ * system settings.
+ *
+ * @example
+ * shadowdark.macro.carousing();
+ ***************************************************************/
+
+shadowdark.macro.carousing();
@@ -0,0 +1,14 @@
+/**
+ ****************************************************************
+ * This macro can be used to toggle the Crawl Tracker interface
+ * on and off.
+ *
+ * The Crawl Tracker counts crawling rounds as game time passes,
+ * and rolls encounter checks based on the danger level of the
+ * current scene.
+ *
+ * NOTE: Only users with the Game Master user role can run this
+ * macro.
+ ***************************************************************/
+
+game.shadowdark.crawlTracker.toggleInterface();
@@ -0,0 +1,31 @@
+/**
+ ****************************************************************
+ * This macro makes every player character rest for the night in
+ * the following way:
+ *
+ *    - Each character eats one ration from their inventory.
+ *
+ *    - Characters that ate regain all their HP, recover their
+ *      lost spells and abilities, and reset any limited uses.
+ *
+ *    - A chat card summarizes the rest for each character.
+ *
+ * @param {boolean} [interrupted] Set to true if the rest was
+ *                                interrupted. Rations are still
+ *                                eaten, but no other benefits
+ *                                are gained.
+ *                                default: false
+ *
+ * @example
+ * shadowdark.macro.partyRest();
+ *
+ * @example
+ * shadowdark.macro.partyRest(true);
+ *
+ * NOTE: Only users with the Game Master user role can run this
+ * macro, and only characters actively selected by a player are
+ * affected (regardless of whether they are currently logged in
+ * or not).
+ ***************************************************************/
+
+shadowdark.macro.partyRest();
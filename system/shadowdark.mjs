@@ -12,6 +12,7 @@ import * as apps from "./src/apps/_module.mjs";
 import * as chat from "./src/chat/_module.mjs";
 import * as dice from "./src/dice/_module.mjs";
 import * as documents from "./src/documents/_module.mjs";
+import * as placeables from "./src/canvas/_module.mjs";
 import * as sheets from "./src/sheets/_module.mjs";
 
 import { ModuleArt } from "./src/utils/module-art.mjs";
@@ -39,6 +40,7 @@ globalThis.shadowdark = {
 	error: Logger.error,
 	log: Logger.log,
 	macro: ShadowdarkMacro,
+	placeables,
 	sheets,
 	utils: UtilitySD,
 	warn: Logger.warn,
@@ -61,6 +63,7 @@ Hooks.once("init", () => {
 
 	game.shadowdark = {
 		config: SHADOWDARK,
+		crawlTracker: new apps.CrawlTrackerSD(),
 		lightSourceTracker: new apps.LightSourceTrackerSD(),
 		effectPanel: new apps.EffectPanelSD(),
 	};
@@ -70,6 +73,7 @@ Hooks.once("init", () => {
 	CONFIG.Item.documentClass = documents.ItemSD;
 	CONFIG.DiceSD = dice.DiceSD;
 	CONFIG.Combat.documentClass = documents.EncounterSD;
+	CONFIG.Canvas.rulerClass = placeables.RulerSD;
 
 	CONFIG.ActiveEffect.legacyTransferral = false;
 
@@ -93,6 +97,12 @@ Hooks.once("init", () => {
 		label: "SHADOWDARK.sheet.class.npc",
 	});
 
+	Actors.registerSheet("shadowdark", sheets.PartySheetSD, {
+		types: ["Party"],
+		makeDefault: true,
+		label: "SHADOWDARK.sheet.class.party",
+	});
+
 	Actors.registerSheet("shadowdark", sheets.LightSheetSD, {
 		types: ["Light"],
 		makeDefault: true,
@@ -0,0 +1,112 @@
+export default class CarousingSD extends FormApplication {
+
+	/**
+	 * @param {Array<string>} actorIds - The Players taking part. If none are
+	 *                                   given, the GM gets the whole party and
+	 *                                   players get their own character.
+	 */
+	constructor(actorIds=[]) {
+		super();
+
+		this.actorIds = actorIds;
+
+		if (this.actorIds.length === 0) {
+			this.actorIds = game.user.isGM
+				? game.actors
+					.filter(actor => actor.type === "Player" && actor.hasPlayerOwner)
+					.map(actor => actor.id)
+				: [game.user.character?.id].filter(id => id);
+		}
+	}
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "carousing"],
+			width: 450,
+			resizable: false,
+			closeOnSubmit: false,
+			submitOnChange: false,
+		});
+	}
+
+	/** @inheritdoc */
+	get template() {
+		return "systems/shadowdark/templates/apps/carousing.hbs";
+	}
+
+	/** @inheritdoc */
+	get title() {
+		return game.i18n.localize("SHADOWDARK.apps.carousing.title");
+	}
+
+	get actors() {
+		return this.actorIds
+			.map(id => game.actors.get(id))
+			.filter(actor => actor?.isOwner);
+	}
+
+	/** @override */
+	async getData(options) {
+		const tiers = game.settings.get("shadowdark", "carousingTiers");
+
+		const tierOptions = {};
+		tiers.forEach((tier, index) => {
+			tierOptions[index] = game.i18n.format(
+				"SHADOWDARK.apps.carousing.tier_option",
+				tier
+			);
+		});
+
+		const actors = this.actors.map(actor => ({
+			id: actor.id,
+			img: actor.img,
+			name: actor.name,
+			gp: actor.system.coins.gp,
+			history: [...actor.system.carousing].reverse(),
+		}));
+
+		return {
+			actors,
+			hasTable: !!(await this._getTable()),
+			isGM: game.user.isGM,
+			tierOptions,
+		};
+	}
+
+	async _getTable() {
+		const tableId = game.settings.get("shadowdark", "carousingTable");
+		if (!tableId) return game.tables.getName("Carousing");
+
+		return await fromUuid(tableId);
+	}
+
+	/** @inheritdoc */
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+
+		const table = await this._getTable();
+		if (!table) {
+			return ui.notifications.error(
+				game.i18n.localize("SHADOWDARK.apps.carousing.error.no_table")
+			);
+		}
+
+		const tier = game.settings.get("shadowdark", "carousingTiers")[data.tier];
+		if (!tier) return;
+
+		const actors = this.actors.filter(actor => data.actors?.[actor.id]);
+
+		if (actors.length === 0) {
+			return ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.apps.carousing.error.no_actors")
+			);
+		}
+
+		for (const actor of actors) {
+			await actor.carouse(tier, table);
+		}
+
+		this.render();
+	}
+}
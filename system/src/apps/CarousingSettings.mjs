@@ -0,0 +1,121 @@
+export default class CarousingSettings extends FormApplication {
+	constructor(object, options) {
+		super(object, options);
+
+		this.tiers = foundry.utils.deepClone(
+			game.settings.get("shadowdark", "carousingTiers")
+		);
+	}
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "carousing-settings"],
+			title: game.i18n.localize("SHADOWDARK.settings.carousing.title"),
+			template: "systems/shadowdark/templates/apps/carousing-settings.hbs",
+			width: 400,
+			height: "auto",
+			resizable: false,
+			closeOnSubmit: true,
+		});
+	}
+
+	static registerSetting() {
+		game.settings.register("shadowdark", "carousingTable", {
+			name: game.i18n.localize("SHADOWDARK.settings.carousing.table"),
+			config: false,
+			scope: "world",
+			type: String,
+			default: "",
+		});
+
+		game.settings.register("shadowdark", "carousingTiers", {
+			name: game.i18n.localize("SHADOWDARK.settings.carousing.tiers"),
+			config: false,
+			scope: "world",
+			type: Array,
+			default: CONFIG.SHADOWDARK.CAROUSING_TIERS,
+		});
+	}
+
+	activateListeners(html) {
+		html.find("[data-action='add-tier']").click(event => this._onAddTier(event));
+		html.find("[data-action='delete-tier']").click(event => this._onDeleteTier(event));
+		html.find("[data-action='reset-tiers']").click(event => this._onResetTiers(event));
+
+		super.activateListeners(html);
+	}
+
+	async getData() {
+		const data = await super.getData();
+
+		data.tables = {};
+		for (const table of game.tables) {
+			data.tables[table.uuid] = table.name;
+		}
+
+		data.table = game.settings.get("shadowdark", "carousingTable");
+		data.tiers = this.tiers;
+
+		return data;
+	}
+
+	/**
+	 * Reads the tiers as currently entered in the form, so that adding or
+	 * deleting rows doesn't lose any unsaved changes
+	 *
+	 * @returns {Array<object>}
+	 */
+	_getFormTiers() {
+		const data = foundry.utils.expandObject(this._getSubmitData());
+
+		return Object.values(data.tiers ?? {}).map(tier => ({
+			cost: parseInt(tier.cost) || 0,
+			name: tier.name,
+			bonus: parseInt(tier.bonus) || 0,
+			xp: parseInt(tier.xp) || 0,
+		}));
+	}
+
+	async _onAddTier(event) {
+		event.preventDefault();
+
+		this.tiers = this._getFormTiers();
+
+		const lastTier = this.tiers[this.tiers.length - 1];
+		this.tiers.push({
+			cost: lastTier?.cost ?? 0,
+			name: "",
+			bonus: (lastTier?.bonus ?? -1) + 1,
+			xp: lastTier?.xp ?? 0,
+		});
+
+		return this.render(true);
+	}
+
+	async _onDeleteTier(event) {
+		event.preventDefault();
+
+		const index = parseInt($(event.currentTarget).data("index"));
+
+		this.tiers = this._getFormTiers();
+		this.tiers.splice(index, 1);
+
+		return this.render(true);
+	}
+
+	async _onResetTiers(event) {
+		event.preventDefault();
+
+		this.tiers = foundry.utils.deepClone(CONFIG.SHADOWDARK.CAROUSING_TIERS);
+
+		return this.render(true);
+	}
+
+	async _updateObject(event, data) {
+		const tiers = this._getFormTiers().sort((a, b) => a.cost - b.cost);
+
+		await game.settings.set("shadowdark", "carousingTable", data.table);
+		await game.settings.set("shadowdark", "carousingTiers", tiers);
+	}
+}
@@ -50,6 +50,11 @@ export default class CharacterGeneratorSD extends FormApplication {
 		];
 		this.formData.gearSelected = [];
 
+		this.formData.abilityMethod = game.settings.get(
+			"shadowdark", "abilityScoreMethod"
+		);
+		this.formData.rolledScores = [];
+
 		// Setup a default actor template
 		this.formData.actor = {
 			name: "",
@@ -121,6 +126,7 @@ export default class CharacterGeneratorSD extends FormApplication {
 			resizable: false,
 			closeOnSubmit: false,
 			submitOnChange: true,
+			dragDrop: [{dragSelector: ".rolled-score", dropSelector: ".stats"}],
 		});
 	}
 
@@ -168,6 +174,50 @@ export default class CharacterGeneratorSD extends FormApplication {
 
 	}
 
+	/** @inheritdoc */
+	_canDragDrop() {
+		return true;
+	}
+
+	/** @inheritdoc */
+	_canDragStart() {
+		return true;
+	}
+
+	/** @inheritdoc */
+	_onDragStart(event) {
+		const index = event.currentTarget.dataset.index;
+
+		event.dataTransfer.setData(
+			"text/plain",
+			JSON.stringify({type: "AbilityScore", index})
+		);
+	}
+
+	/**
+	 * Dropping a rolled score onto an ability swaps it with the score
+	 * that ability had.
+	 *
+	 * @inheritdoc
+	 */
+	_onDrop(event) {
+		const data = TextEditor.getDragEventData(event);
+		if (data.type !== "AbilityScore") return;
+
+		const ability = event.target.closest(".stats")?.dataset.ability;
+		const dropped = this.formData.rolledScores[data.index];
+		if (!ability || !dropped) return;
+
+		const current = this.formData.rolledScores.find(
+			score => score.ability === ability
+		);
+		if (current) current.ability = dropped.ability;
+		dropped.ability = ability;
+
+		this._assignRolledScores();
+		this.render();
+	}
+
 	/** @inheritdoc */
 	async _updateObject(event, data) {
 		// expand incoming data for compatibility with formData
@@ -212,6 +262,11 @@ export default class CharacterGeneratorSD extends FormApplication {
 				this._addClassTalent(event.target.value);
 				break;
 
+			// rolled scores are for the method they were rolled with
+			case "abilityMethod":
+				this.formData.rolledScores = [];
+				break;
+
 			case "level0":
 				if (this.formData.level0) {
 					this.formData.actor.system.class = this.formData.level0Class.uuid;
@@ -231,53 +286,7 @@ export default class CharacterGeneratorSD extends FormApplication {
 			// Put up a loading screen as compendium searching can take a while
 			const loadingDialog = new shadowdark.apps.LoadingSD().render(true);
 
-			// Initialize Alignment
-			this.formData.alignments = CONFIG.SHADOWDARK.ALIGNMENTS;
-
-			// setup ability range as 3-18
-			this.formData.statRange = [];
-			for (let i =3; i<19; i++) {
-				this.formData.statRange.push(i);
-			}
-
-			// set all player ability scores to 10
-			CONFIG.SHADOWDARK.ABILITY_KEYS.forEach(x => {
-				this.formData.actor.system.abilities[x] = { base: 10, mod: 0};
-			});
-
-			// load all relevent data from compendiums
-			this.formData.ancestries = await shadowdark.compendiums.ancestries();
-			this.formData.deities = await shadowdark.compendiums.deities();
-			this.formData.backgrounds = await shadowdark.compendiums.backgrounds();
-			this.formData.classes = await shadowdark.compendiums.classes();
-
-			// load all languages in lookup table
-			let languages = await shadowdark.compendiums.languages();
-			this.formData.languages = {};
-			languages.forEach(x => {
-				this.formData.languages[x.uuid] = x.name;
-			});
-
-			this.formData.commonLanguages = [];
-			let common = await shadowdark.compendiums.commonLanguages();
-			common.forEach(x => {
-				this.formData.commonLanguages.push(x.uuid);
-			});
-
-			this.formData.rareLanguages = [];
-			let rare = await shadowdark.compendiums.rareLanguages();
-			rare.forEach(x => {
-				this.formData.rareLanguages.push(x.uuid);
-			});
-
-			// find the level 0 class
-			this.formData.classes.forEach( classObj => {
-				if (classObj.name.toLocaleLowerCase().includes("level 0")) {
-					this.formData.level0Class = classObj;
-					this.formData.actor.system.class = classObj.uuid;
-					this.formData.classes.delete(classObj._id);
-				}
-			});
+			await this._loadCompendiumData();
 
 			// load info for an exiting actor
 			if (this.formData.editing) {
@@ -297,8 +306,77 @@ export default class CharacterGeneratorSD extends FormApplication {
 		return this.formData;
 	}
 
+	/**
+	 * Loads the ancestries, classes and other options the generator picks
+	 * from out of the compendiums.
+	 */
+	async _loadCompendiumData() {
+		// Initialize Alignment
+		this.formData.alignments = CONFIG.SHADOWDARK.ALIGNMENTS;
+		this.formData.abilityMethods = CONFIG.SHADOWDARK.ABILITY_SCORE_METHODS;
+
+		// setup ability range as 3-18
+		this.formData.statRange = [];
+		for (let i =3; i<19; i++) {
+			this.formData.statRange.push(i);
+		}
+
+		// set all player ability scores to 10
+		CONFIG.SHADOWDARK.ABILITY_KEYS.forEach(x => {
+			this.formData.actor.system.abilities[x] = { base: 10, mod: 0};
+		});
+
+		// load all relevent data from compendiums
+		this.formData.ancestries = await shadowdark.compendiums.ancestries();
+		this.formData.deities = await shadowdark.compendiums.deities();
+		this.formData.backgrounds = await shadowdark.compendiums.backgrounds();
+		this.formData.classes = await shadowdark.compendiums.classes();
+
+		// load all languages in lookup table
+		let languages = await shadowdark.compendiums.languages();
+		this.formData.languages = {};
+		languages.forEach(x => {
+			this.formData.languages[x.uuid] = x.name;
+		});
+
+		this.formData.commonLanguages = [];
+		let common = await shadowdark.compendiums.commonLanguages();
+		common.forEach(x => {
+			this.formData.commonLanguages.push(x.uuid);
+		});
+
+		this.formData.rareLanguages = [];
+		let rare = await shadowdark.compendiums.rareLanguages();
+		rare.forEach(x => {
+			this.formData.rareLanguages.push(x.uuid);
+		});
+
+		// find the level 0 class
+		this.formData.classes.forEach( classObj => {
+			if (classObj.name.toLocaleLowerCase().includes("level 0")) {
+				this.formData.level0Class = classObj;
+				this.formData.actor.system.class = classObj.uuid;
+				this.formData.classes.delete(classObj._id);
+			}
+		});
+	}
+
 	async _randomizeHandler(event) {
-		const eventStr = event.target.name;
+		await this._randomize(event.target.name);
+
+		shadowdark.utils.diceSound();
+
+		// update all changes
+		this.render();
+	}
+
+	/**
+	 * Randomizes part of the character, or all of it for "randomize-all"
+	 *
+	 * @param {string} eventStr - The name of the randomize button used
+	 * @param {object} options - Passed on to _rollAbilityScores
+	 */
+	async _randomize(eventStr, options={}) {
 		let tempInt = 0;
 
 		// randomize ancestry
@@ -356,10 +434,7 @@ export default class CharacterGeneratorSD extends FormApplication {
 
 		// randomize stats
 		if (eventStr === "randomize-stats" || eventStr === "randomize-all") {
-			for (const key of CONFIG.SHADOWDARK.ABILITY_KEYS) {
-				this.formData.actor.system.abilities[key].base = await this._roll("3d6");
-			}
-			this._calculateModifiers();
+			await this._rollAbilityScores(options);
 		}
 
 		// randomize name
@@ -377,11 +452,6 @@ export default class CharacterGeneratorSD extends FormApplication {
 		if (eventStr === "randomize-gear" || eventStr === "randomize-all") {
 			await this._randomizeGear();
 		}
-
-		shadowdark.utils.diceSound();
-
-		// update all changes
-		this.render();
 	}
 
 	/**
@@ -687,6 +757,89 @@ export default class CharacterGeneratorSD extends FormApplication {
 		}
 	}
 
+	/**
+	 * Generates the ability scores with the chosen method, initially
+	 * assigning them in order, and posts any rolls to chat.
+	 *
+	 * @param {object} options - Set `chatMessage` to false to not post the
+	 *                           rolls to chat
+	 */
+	async _rollAbilityScores(options={}) {
+		const method = this.formData.abilityMethod;
+		const rules = CONFIG.SHADOWDARK.ABILITY_SCORE_METHOD_RULES[method]
+			?? CONFIG.SHADOWDARK.ABILITY_SCORE_METHOD_RULES.inOrder;
+
+		let rolls = [];
+		let attempts = 0;
+		if (rules.formula) {
+			do {
+				attempts++;
+				rolls = [];
+				for (let i = 0; i < CONFIG.SHADOWDARK.ABILITY_KEYS.length; i++) {
+					rolls.push(await new Roll(rules.formula).evaluate());
+				}
+			}
+			while (
+				rules.minimumHighest
+				&& Math.max(...rolls.map(roll => roll.total)) < rules.minimumHighest
+			);
+		}
+
+		const scores = rules.formula
+			? rolls.map(roll => roll.total)
+			: [...rules.scores];
+
+		this.formData.rolledScores = scores.map((value, i) => ({
+			ability: CONFIG.SHADOWDARK.ABILITY_KEYS[i],
+			value,
+		}));
+		this._assignRolledScores();
+
+		// Only arranged scores can be moved around afterwards
+		if (!rules.arrange) this.formData.rolledScores = [];
+
+		if (rolls.length > 0 && options.chatMessage !== false) {
+			await this._sendAbilityScoresMessage(method, rolls, attempts);
+		}
+	}
+
+	_assignRolledScores() {
+		for (const score of this.formData.rolledScores) {
+			this.formData.actor.system.abilities[score.ability].base = score.value;
+		}
+		this._calculateModifiers();
+	}
+
+	async _sendAbilityScoresMessage(method, rolls, attempts) {
+		const arrange = CONFIG.SHADOWDARK.ABILITY_SCORE_METHOD_RULES[method]?.arrange;
+
+		const scores = rolls.map((roll, i) => ({
+			ability: arrange
+				? null
+				: CONFIG.SHADOWDARK.ABILITIES_LONG[CONFIG.SHADOWDARK.ABILITY_KEYS[i]],
+			dice: roll.dice.flatMap(die => die.results),
+			total: roll.total,
+		}));
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/ability-scores.hbs",
+			{
+				method: CONFIG.SHADOWDARK.ABILITY_SCORE_METHODS[method],
+				rerolls: attempts - 1,
+				scores,
+				title: game.i18n.localize("SHADOWDARK.chat.ability_scores.title"),
+			}
+		);
+
+		await ChatMessage.create({
+			content,
+			flags: { "core.canPopout": true },
+			speaker: ChatMessage.getSpeaker(),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+		});
+	}
+
 	_getRandom(max) {
 		return Math.floor(Math.random() * max);
 	}
@@ -749,10 +902,27 @@ export default class CharacterGeneratorSD extends FormApplication {
 		this.render();
 	}
 
-	static async createActorFromData(characterData, characterItems, userId, level0) {
+	/**
+	 * Creates a character, gives ownership of it to the user it was made for
+	 * and assigns it as that user's character if they don't have one yet.
+	 *
+	 * @param {object} characterData - The actor data
+	 * @param {Array<object>} characterItems - Items to add to the actor
+	 * @param {string} userId - The user the character was made for
+	 * @param {boolean} level0 - Whether this is a level 0 character
+	 * @param {object} options - Set `folder` to the id of the folder to put
+	 *                           the actor in, and `render` to false to skip
+	 *                           opening its sheet
+	 * @returns {Promise<ActorSD|undefined>}
+	 */
+	static async createActorFromData(
+		characterData, characterItems, userId, level0, options={}
+	) {
 		if (!shadowdark.utils.canCreateCharacter()) return;
 
-		const newActor = await Actor.create(characterData);
+		const { folder=null, render=true } = options;
+
+		const newActor = await Actor.create({...characterData, folder});
 
 		if (!newActor) {
 			return ui.notifications.error(
@@ -781,26 +951,37 @@ export default class CharacterGeneratorSD extends FormApplication {
 			if (user && !user.character) {
 				// User doesn't have a character assigned, so assign this new
 				// one they just created
-				user.update({character: newActor.id});
+				await user.update({character: newActor.id});
 			}
 
-			game.socket.emit("system.shadowdark", {
-				type: "openNewCharacter",
-				payload: {actorId: newActor.id, userId, level0},
-			});
+			if (render) {
+				game.socket.emit("system.shadowdark", {
+					type: "openNewCharacter",
+					payload: {actorId: newActor.id, userId, level0},
+				});
+			}
 		}
-		else {
+		else if (render) {
 
 			newActor.sheet.render(true);
 
-			return ui.notifications.info(
+			ui.notifications.info(
 				game.i18n.localize("SHADOWDARK.apps.character-generator.success"),
 				{permanent: false}
 			);
 		}
+
+		return newActor;
 	}
 
-	async _createCharacter() {
+	/**
+	 * Builds the actor data and items for the character as it currently
+	 * stands in the generator.
+	 *
+	 * @returns {Promise<object|null>} - The `characterData` and
+	 * `characterItems`, or null if the character isn't ready
+	 */
+	async _buildCharacter() {
 
 		// sets initial totals on all stats
 		for (const key of CONFIG.SHADOWDARK.ABILITY_KEYS) {
@@ -826,7 +1007,7 @@ export default class CharacterGeneratorSD extends FormApplication {
 		// Check for Name
 		if (this.formData.actor.name === "" ) {
 			ui.notifications.error( game.i18n.localize("SHADOWDARK.apps.character-generator.error.name"));
-			return;
+			return null;
 		}
 
 		// make changes only for level 0 characters
@@ -864,12 +1045,22 @@ export default class CharacterGeneratorSD extends FormApplication {
 		};
 		this.formData.actor.system.auditLog = auditLog;
 
+		return {
+			characterData: foundry.utils.deepClone(this.formData.actor),
+			characterItems: allItems,
+		};
+	}
+
+	async _createCharacter() {
+		const character = await this._buildCharacter();
+		if (!character) return;
+
 		// Create the new player character
 		//
 		if (shadowdark.utils.canCreateCharacter()) {
 			CharacterGeneratorSD.createActorFromData(
-				this.formData.actor,
-				allItems,
+				character.characterData,
+				character.characterItems,
 				game.userId,
 				this.formData.level0
 			);
@@ -878,8 +1069,7 @@ export default class CharacterGeneratorSD extends FormApplication {
 			game.socket.emit("system.shadowdark", {
 				type: "createCharacter",
 				payload: {
-					characterData: this.formData.actor,
-					characterItems: allItems,
+					...character,
 					userId: game.userId,
 					level0: this.formData.level0,
 				},
@@ -889,6 +1079,26 @@ export default class CharacterGeneratorSD extends FormApplication {
 		this.close();
 	}
 
+	/**
+	 * Rolls up a completely random level 0 character without rendering the
+	 * generator, as used by the funnel.
+	 *
+	 * @param {object} options - Set `chatMessage` to false to not post the
+	 *                           ability score rolls to chat
+	 * @returns {Promise<object>} - The `characterData` and `characterItems`
+	 */
+	async randomLevel0Character(options={}) {
+		if (this.firstrun) {
+			this.firstrun = false;
+			await this._loadCompendiumData();
+		}
+
+		this.formData.level0 = true;
+		await this._randomize("randomize-all", options);
+
+		return this._buildCharacter();
+	}
+
 	async _updateCharacter() {
 
 		let actorRef = game.actors.get(this.actorUid);
@@ -0,0 +1,374 @@
+import RealTimeSD from "./RealTimeSD.mjs";
+
+export default class CrawlTrackerSD extends Application {
+
+	constructor(options) {
+		super(options);
+
+		// Crawling rounds are counted in game time, which the real time
+		// clock advances while a crawl is running
+		this.realTime = new RealTimeSD();
+	}
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "crawl-tracker"],
+			height: "auto",
+			resizable: false,
+			width: 320,
+		});
+	}
+
+	/** @inheritdoc */
+	get template() {
+		return "systems/shadowdark/templates/apps/crawl-tracker.hbs";
+	}
+
+	/** @inheritdoc */
+	get title() {
+		return game.i18n.localize("SHADOWDARK.apps.crawl-tracker.title");
+	}
+
+	get state() {
+		return game.settings.get("shadowdark", "crawlTracker");
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find("[data-action='start-crawl']").click(
+			event => this.startCrawl()
+		);
+
+		html.find("[data-action='end-crawl']").click(
+			event => this.endCrawl()
+		);
+
+		html.find("[data-action='next-round']").click(
+			event => this.nextRound()
+		);
+
+		html.find("[data-action='check-encounter']").click(
+			event => this.checkForEncounter()
+		);
+
+		html.find("[name='dangerLevel']").change(
+			event => this._onChangeSceneSetting(event, "dangerLevel")
+		);
+
+		html.find("[name='encounterTable']").change(
+			event => this._onChangeSceneSetting(event, "encounterTable")
+		);
+	}
+
+	/** @override */
+	async getData(options) {
+		const state = this.state;
+		const scene = game.scenes.viewed;
+		const dangerLevel = this._dangerLevel(scene);
+
+		const tables = {};
+		for (const table of game.tables) {
+			tables[table.uuid] = table.name;
+		}
+
+		return {
+			active: state.active,
+			dangerLevel,
+			dangerLevels: CONFIG.SHADOWDARK.DANGER_LEVELS,
+			encounterTable: scene?.getFlag("shadowdark", "encounterTable") ?? "",
+			isPaused: this.realTime.isPaused(),
+			isRealtimeEnabled: this.realTime.isEnabled(),
+			lastCheck: state.lastCheck,
+			roundsUntilCheck: this._roundsUntilCheck(state.round, dangerLevel),
+			round: state.round,
+			scene,
+			tables,
+		};
+	}
+
+	async checkForEncounter() {
+		if (!game.user.isGM) return;
+
+		const roll = await new Roll(
+			CONFIG.SHADOWDARK.DEFAULTS.ENCOUNTER_CHECK_ROLL
+		).evaluate();
+
+		const encounter = roll.total === 1;
+
+		await this._updateState({
+			lastCheck: {
+				encounter,
+				result: roll.total,
+				round: this.state.round,
+			},
+		});
+
+		if (encounter) await this._rollEncounter();
+
+		this.render(false);
+	}
+
+	async endCrawl() {
+		this.realTime.stop();
+
+		await this._updateState({active: false});
+		this.render(false);
+	}
+
+	async nextRound() {
+		if (!this.state.active) return;
+
+		await game.time.advance(this._roundSecs());
+	}
+
+	async onUpdateWorldTime(worldTime, worldDelta) {
+		const state = this.state;
+
+		if (!state.active || !game.users.activeGM?.isSelf) return;
+
+		const round = Math.floor((worldTime - state.startTime) / this._roundSecs());
+		if (round <= state.round) return;
+
+		// Record the new round first so that any time changes while checking
+		// for encounters don't process the same rounds twice
+		await this._updateState({round});
+
+		const dangerLevel = this._dangerLevel(game.scenes.viewed);
+		const interval = CONFIG.SHADOWDARK.DANGER_LEVEL_CHECK_ROUNDS[dangerLevel];
+
+		for (let r = state.round + 1; r <= round; r++) {
+			if (r % interval === 0) await this.checkForEncounter();
+		}
+
+		this.render(false);
+	}
+
+	/**
+	 * Places the given number of monsters in a block in the middle of the
+	 * current view, importing the monster from its compendium if needed.
+	 *
+	 * @param {string} uuid - The UUID of the monster's Actor
+	 * @param {number} quantity - The number of monsters to place
+	 */
+	async placeMonsters(uuid, quantity=1) {
+		if (!game.user.isGM || !canvas.scene) return;
+
+		let actor = await fromUuid(uuid);
+		if (!actor) return;
+
+		if (actor.compendium) {
+			actor = game.actors.find(
+				a => a._stats.compendiumSource === actor.uuid
+			) ?? await game.actors.importFromCompendium(
+				actor.compendium, actor.id
+			);
+		}
+
+		const gridSize = canvas.grid.size;
+		const columns = Math.ceil(Math.sqrt(quantity));
+		const left = Math.floor(canvas.stage.pivot.x / gridSize) * gridSize;
+		const top = Math.floor(canvas.stage.pivot.y / gridSize) * gridSize;
+
+		const tokens = [];
+		for (let i = 0; i < quantity; i++) {
+			const token = await actor.getTokenDocument({
+				x: left + ((i % columns) * gridSize),
+				y: top + (Math.floor(i / columns) * gridSize),
+			});
+			tokens.push(token.toObject());
+		}
+
+		await canvas.scene.createEmbeddedDocuments("Token", tokens);
+	}
+
+	async render(force, options) {
+		// Don't allow non-GM users to view the UI
+		if (!game.user.isGM) return;
+
+		return super.render(force, options);
+	}
+
+	async startCrawl() {
+		await this._updateState({
+			active: true,
+			lastCheck: null,
+			round: 0,
+			startTime: game.time.worldTime,
+		});
+		this.realTime.start();
+		this.render(false);
+	}
+
+	async toggleInterface() {
+		if (!game.user.isGM) {
+			ui.notifications.error(
+				game.i18n.localize("SHADOWDARK.error.general.gm_required")
+			);
+			return;
+		}
+
+		if (this.rendered) {
+			this.close();
+		}
+		else {
+			this.render(true);
+		}
+	}
+
+	_dangerLevel(scene) {
+		return scene?.getFlag("shadowdark", "dangerLevel") ?? "unsafe";
+	}
+
+	/**
+	 * Finds every monster in a table result, either from the result's
+	 * linked document or from any Actor links in its text. An inline roll
+	 * in the text is used as the number of monsters appearing.
+	 *
+	 * @param {TableResult} result
+	 * @returns {object} - The result text and the monsters found
+	 */
+	async _getEncounterMonsters(result) {
+		let text = result.text;
+		let quantity = 1;
+
+		const inlineRoll = text.match(/\[\[\/r\s*([^\]]+)\]\]/);
+		if (inlineRoll) {
+			const roll = await new Roll(inlineRoll[1]).evaluate();
+			quantity = roll.total;
+			text = text.replace(inlineRoll[0], quantity);
+		}
+
+		const uuids = [];
+		const resultUuid = shadowdark.utils.getTableResultUuid(result);
+		if (resultUuid) uuids.push(resultUuid);
+
+		for (const match of text.matchAll(/@UUID\[([^\]]+)\]/g)) {
+			uuids.push(match[1]);
+		}
+
+		const monsters = [];
+		for (const uuid of uuids) {
+			const actor = await fromUuid(uuid);
+			if (actor?.documentName !== "Actor") continue;
+
+			monsters.push({
+				name: actor.name,
+				quantity,
+				uuid: actor.uuid,
+			});
+		}
+
+		return {
+			monsters,
+			text: await TextEditor.enrichHTML(text, {async: true}),
+		};
+	}
+
+	async _onChangeSceneSetting(event, key) {
+		const scene = game.scenes.viewed;
+		if (!scene) return;
+
+		await scene.setFlag("shadowdark", key, event.currentTarget.value);
+		this.render(false);
+	}
+
+	async _rollEncounter() {
+		const scene = game.scenes.viewed;
+		const tableUuid = scene?.getFlag("shadowdark", "encounterTable");
+		const table = tableUuid ? await fromUuid(tableUuid) : null;
+
+		const encounters = [];
+		if (table) {
+			const draw = await table.draw({displayChat: false});
+			for (const result of draw.results) {
+				encounters.push(await this._getEncounterMonsters(result));
+			}
+		}
+
+		const tableUuids = CONFIG.SHADOWDARK.ENCOUNTER_TABLE_UUIDS;
+		const rollTable = async uuid => {
+			const table = await fromUuid(uuid);
+			const draw = await table?.draw({displayChat: false});
+			return draw?.results[0]?.text ?? "";
+		};
+
+		// Reactions are modified by the best CHA in the party
+		const chaBonus = Math.max(
+			0,
+			...game.actors
+				.filter(actor => actor.type === "Player" && actor.hasPlayerOwner)
+				.map(actor => actor.abilityModifier("cha"))
+		);
+		const reactionTable = await fromUuid(tableUuids.reaction);
+		const reactionRoll = await new Roll("2d6 + @chaBonus", {chaBonus}).evaluate();
+		const [reaction] = reactionTable?.getResultsForRoll(reactionRoll.total) ?? [];
+
+		const treasureRoll = await new Roll("1d100").evaluate();
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/encounter.hbs",
+			{
+				activity: await rollTable(tableUuids.activity),
+				dangerLevel: CONFIG.SHADOWDARK.DANGER_LEVELS[this._dangerLevel(scene)],
+				distance: await rollTable(tableUuids.distance),
+				encounters,
+				hasTable: !!table,
+				reaction: reaction?.text ?? "",
+				reactionRoll: reactionRoll.total,
+				round: this.state.round,
+				scene,
+				treasure: treasureRoll.total >= 50,
+			}
+		);
+
+		await ChatMessage.create({
+			content,
+			flags: { "core.canPopout": true },
+			speaker: ChatMessage.getSpeaker(),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+			whisper: ChatMessage.getWhisperRecipients("GM"),
+		});
+	}
+
+	_roundSecs() {
+		return game.settings.get("shadowdark", "crawlingRoundLength") * 60;
+	}
+
+	/**
+	 * The number of crawling rounds until the next encounter check, which
+	 * happens at the end of every round in deadly areas, every 2 rounds in
+	 * risky areas and every 3 rounds in unsafe areas.
+	 *
+	 * @param {number} round - The current crawling round
+	 * @param {string} dangerLevel
+	 * @returns {number}
+	 */
+	_roundsUntilCheck(round, dangerLevel) {
+		const interval = CONFIG.SHADOWDARK.DANGER_LEVEL_CHECK_ROUNDS[dangerLevel];
+		return interval - (round % interval);
+	}
+
+	async _settingsChanged() {
+		if (!game.user.isGM) return;
+
+		if (this.state.active && this.realTime.isEnabled()) {
+			this.realTime.start();
+		}
+		else {
+			this.realTime.stop();
+		}
+
+		this.render(false);
+	}
+
+	async _updateState(changes) {
+		await game.settings.set(
+			"shadowdark",
+			"crawlTracker",
+			foundry.utils.mergeObject(this.state, changes, {inplace: false})
+		);
+	}
+}
@@ -107,8 +107,10 @@ export default class EffectPanelSD extends Application {
 		// Get effects that have unique origin
 		const expiredEffects = [...effectData.temporaryEffects, ...effectData.conditionEffects]
 			.filter(e => {
-				// Light source Effects are cleaned up by the Light Source Tracker
+				// Light source Effects are cleaned up by the Light Source Tracker,
+				// and those counting down with combat by the encounter
 				return e.isExpired
+				&& !e.parent.tracksCombat()
 				&& !(
 					e.effectName === "Light Source"
 					|| e.changes.some(c => c.key === "system.light.template")
@@ -177,8 +179,9 @@ export class EffectPanelControllerSD {
 					effectData.hidden = !effect.parent.system.effectPanel.show ?? false;
 
 					effectData.remainingDuration = effect.parent.remainingDuration;
-					effectData.rounds = (effect.parent.system.duration?.type === "rounds")
-						? effect.parent.system.duration.value
+					// Effects counting down with combat show the rounds left
+					effectData.rounds = effect.parent.tracksCombat()
+						? effectData.remainingDuration.remaining
 						: 0;
 					effectData.isExpired = effectData.remainingDuration.expired;
 					effectData.infinite = effectData.remainingDuration.remaining === Infinity;
@@ -187,6 +190,24 @@ export class EffectPanelControllerSD {
 					// is item hidden
 					effectData.hidden = !effect.parent.system.effectPanel.show ?? false;
 
+					// Focus lasts for as long as the caster keeps passing their
+					// focus checks
+					effectData.focus = !!effect.parent.getFlag("shadowdark", "focus");
+
+					// Dying counts down on the actor's own turns rather than by
+					// combat or world time
+					if (effect.parent.getFlag("shadowdark", "dying") && actor.isDying()) {
+						const remaining = actor.system.dying.roundsRemaining;
+						effectData.rounds = remaining;
+						effectData.remainingDuration = {
+							expired: false,
+							remaining,
+							progress: 0,
+						};
+						effectData.isExpired = false;
+						effectData.infinite = false;
+						effectData.temporary = true;
+					}
 				}
 
 				if (effect.parent.type === "Talent") {
@@ -0,0 +1,183 @@
+export default class FunnelSD extends FormApplication {
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "funnel"],
+			width: 400,
+			resizable: false,
+			closeOnSubmit: false,
+			submitOnChange: false,
+		});
+	}
+
+	/** @inheritdoc */
+	get template() {
+		return "systems/shadowdark/templates/apps/funnel.hbs";
+	}
+
+	/** @inheritdoc */
+	get title() {
+		return game.i18n.localize("SHADOWDARK.apps.funnel.title");
+	}
+
+	/** @inheritdoc */
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find("[name='folder']").change(
+			event => this._onChangeFolder(event)
+		);
+
+		html.find("[data-action='open-survivor']").click(
+			event => this._onOpenSurvivor(event)
+		);
+
+		html.find("[data-action='level-up-survivor']").click(
+			event => this._onLevelUpSurvivor(event)
+		);
+	}
+
+	/** @override */
+	async getData(options) {
+		const state = this.formState ?? {};
+		const folderName = state.folder ?? game.i18n.localize(
+			"SHADOWDARK.apps.funnel.default_folder"
+		);
+
+		const users = game.users.filter(user => !user.isGM).map(user => ({
+			id: user.id,
+			name: user.name,
+			selected: state.users?.[user.id] ?? false,
+		}));
+
+		// Level 0 characters in the funnel folder who are still standing
+		const characters = (this._getFolder(folderName)?.contents ?? []).filter(
+			actor => actor.type === "Player" && actor.system.level.value === 0
+		);
+
+		const survivors = characters
+			.filter(actor => !actor.isDead() && actor.system.attributes.hp.value > 0)
+			.map(actor => ({
+				hp: actor.system.attributes.hp,
+				id: actor.id,
+				img: actor.img,
+				name: actor.name,
+			}))
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		return {
+			count: state.count ?? 4,
+			fallen: characters.length - survivors.length,
+			folderName,
+			hasCharacters: characters.length > 0,
+			survivors,
+			users,
+		};
+	}
+
+	/**
+	 * The Actor folder with the given name, if there is one.
+	 *
+	 * @param {string} name
+	 * @returns {Folder|undefined}
+	 */
+	_getFolder(name) {
+		return game.folders.find(
+			folder => folder.type === "Actor" && folder.name === name
+		);
+	}
+
+	_onChangeFolder(event) {
+		this.formState = foundry.utils.expandObject(this._getSubmitData());
+		this.render();
+	}
+
+	/**
+	 * Survivors don't have a class yet, which the level up needs, so they
+	 * choose one in the character generator first. Their sheet then offers
+	 * the level up to level 1, as explained in the funnel.
+	 *
+	 * @param {Event} event
+	 */
+	async _onLevelUpSurvivor(event) {
+		event.preventDefault();
+
+		const actorId = $(event.currentTarget).data("actor-id");
+		const actor = game.actors.get(actorId);
+		if (!actor) return;
+
+		new shadowdark.apps.CharacterGeneratorSD(actor.id).render(true);
+	}
+
+	async _onOpenSurvivor(event) {
+		event.preventDefault();
+
+		const actorId = $(event.currentTarget).data("actor-id");
+		game.actors.get(actorId)?.sheet.render(true);
+	}
+
+	/** @inheritdoc */
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+		this.formState = data;
+
+		const count = parseInt(data.count);
+		if (isNaN(count) || count < 1) {
+			return ui.notifications.error(
+				game.i18n.localize("SHADOWDARK.apps.funnel.error.invalid_count")
+			);
+		}
+
+		const folderName = data.folder?.trim() || game.i18n.localize(
+			"SHADOWDARK.apps.funnel.default_folder"
+		);
+		this.formState.folder = folderName;
+
+		const userIds = Object.entries(data.users ?? {})
+			.filter(([, selected]) => selected)
+			.map(([userId]) => userId);
+
+		const folder = this._getFolder(folderName)
+			?? await Folder.create({name: folderName, type: "Actor"});
+
+		// Put up a loading screen as rolling up characters can take a while
+		const loadingDialog = new shadowdark.apps.LoadingSD().render(true);
+
+		const generator = new shadowdark.apps.CharacterGeneratorSD();
+
+		let created = 0;
+		for (let i = 0; i < count; i++) {
+			// A whole funnel's worth of ability score rolls would flood the chat
+			const character = await generator.randomLevel0Character({
+				chatMessage: false,
+			});
+			if (!character) continue;
+
+			// Share the characters out between the chosen players in turn
+			const userId = userIds.length > 0
+				? userIds[i % userIds.length]
+				: game.userId;
+
+			const actor = await shadowdark.apps.CharacterGeneratorSD.createActorFromData(
+				character.characterData,
+				character.characterItems,
+				userId,
+				true,
+				{folder: folder.id, render: false}
+			);
+			if (actor) created++;
+		}
+
+		loadingDialog.close({force: true});
+
+		ui.notifications.info(
+			game.i18n.format("SHADOWDARK.apps.funnel.created", {
+				count: created,
+				folder: folderName,
+			})
+		);
+
+		this.render();
+	}
+}
@@ -16,6 +16,7 @@ export default class LevelUpSD extends FormApplication {
 			hp: 0,
 			hpEdit: false,
 			talent: false,
+			boon: false,
 		};
 		this.data.actor = game.actors.get(uid);
 		this.data.talents = [];
@@ -68,6 +69,9 @@ export default class LevelUpSD extends FormApplication {
 		html.find("[data-action='view-talent-table']").click(
 			event => this._viewTalentTable(event)
 		);
+		html.find("[data-action='view-boon-table']").click(
+			event => this._viewBoonTable(event)
+		);
 		html.find("[data-action='open-spellbook']").click(
 			event => this._openSpellBook(event)
 		);
@@ -84,6 +88,10 @@ export default class LevelUpSD extends FormApplication {
 			event => this._onRollTalent(event)
 		);
 
+		html.find("[data-action='roll-boon']").click(
+			event => this._onRollBoon(event)
+		);
+
 		html.find("[data-action='finalize-level-up']").click(
 			event => this._onLevelUp(event)
 		);
@@ -105,6 +113,19 @@ export default class LevelUpSD extends FormApplication {
 			this.data.talentGained = (this.data.targetLevel % 2 !== 0);
 			this.data.isSpellCaster = (this.data.class.system.spellcasting.class !== "__not_spellcaster__");
 
+			if (this.data.class.system.patronBoons) {
+				const patron = await this.data.actor.getPatron();
+
+				if (patron?.system.boonTable) {
+					this.data.boonTable = await fromUuid(patron.system.boonTable);
+				}
+				else {
+					ui.notifications.warn(
+						game.i18n.localize("SHADOWDARK.apps.level-up.no_patron")
+					);
+				}
+			}
+
 			if (this.data.isSpellCaster) {
 				this.data.spellcastingClass =
 					this.data.class.system.spellcasting.class === ""
@@ -141,6 +162,14 @@ export default class LevelUpSD extends FormApplication {
 
 			}
 		}
+
+		// Patron boons are rolled at 1st level as well as a talent, and
+		// may be rolled instead of a talent at later levels
+		this.data.canRollBoon = !!this.data.boonTable
+			&& this.data.talentGained
+			&& !this.data.rolls.boon
+			&& (this.data.targetLevel === 1 || !this.data.rolls.talent);
+
 		return this.data;
 	}
 
@@ -168,6 +197,10 @@ export default class LevelUpSD extends FormApplication {
 		this.data.talentTable.sheet.render(true);
 	}
 
+	async _viewBoonTable() {
+		this.data.boonTable.sheet.render(true);
+	}
+
 	async _openSpellBook() {
 		this.spellbook.render(true);
 	}
@@ -205,31 +238,202 @@ export default class LevelUpSD extends FormApplication {
 	}
 
 	async _onRollTalent() {
-		await this.data.talentTable.draw();
-		ui.sidebar.activateTab("chat");
+		let rolls = 1;
 
-		// Humans get extra talent at level 1 with the ambitious talent
+		// Some ancestries and talents, such as Ambitious, give extra talent
+		// rolls at 1st level
 		if (this.data.targetLevel === 1) {
-			let ambitious = this.data.actor.items.find(x => x.name === "Ambitious");
-			if (ambitious) {
+			for (const source of await this._extraTalentRollSources()) {
 				ChatMessage.create({
-					flavor: "Ambitious",
-					content: `${ambitious.system.description}`,
+					flavor: source.name,
+					content: `${source.system.description}`,
 				});
-				await this.data.talentTable.draw();
+				rolls += source.system.extraTalentRolls;
 			}
 		}
 
+		for (let i = 0; i < rolls; i++) {
+			const draw = await this.data.talentTable.draw();
+
+			for (const talent of await this._resolveTalentResults(draw.results)) {
+				await this._onDropTalent(talent);
+			}
+		}
+
+		ui.sidebar.activateTab("chat");
+
 		this.data.rolls.talent = true;
 		this.render();
 	}
 
-	async _onDropTalent(talentItem) {
+	async _onRollBoon() {
+		const draw = await this.data.boonTable.draw();
+
+		// Boons are tagged with the patron who granted them
+		for (const talent of await this._resolveTalentResults(draw.results)) {
+			await this._onDropTalent(talent, this.data.actor.system.patron);
+		}
+
+		ui.sidebar.activateTab("chat");
+
+		this.data.rolls.boon = true;
+		if (this.data.targetLevel > 1) this.data.rolls.talent = true;
+		this.render();
+	}
+
+	/**
+	 * The actor's ancestry and talents that give extra talent rolls.
+	 *
+	 * @returns {Promise<Array<ItemSD>>}
+	 */
+	async _extraTalentRollSources() {
+		const ancestry = await this.data.actor.getAncestry();
+
+		return [
+			ancestry,
+			...this.data.actor.items.filter(item => item.type === "Talent"),
+		].filter(item => item?.system.extraTalentRolls > 0);
+	}
+
+	/**
+	 * Works out which Talents the drawn table results give. When there is
+	 * more than one option the player chooses one, and results pointing
+	 * at another table are resolved from that table.
+	 *
+	 * @param {Array<TableResult>} results
+	 * @returns {Promise<Array<ItemSD>>}
+	 */
+	async _resolveTalentResults(results) {
+		const options = [];
+		for (const result of results) {
+			const uuid = shadowdark.utils.getTableResultUuid(result);
+			const document = uuid ? await fromUuid(uuid) : null;
+
+			if (document?.type === "Talent" || document instanceof RollTable) {
+				options.push(document);
+			}
+		}
+
+		if (options.length === 0) return [];
+
+		const choice = options.length === 1
+			? options[0]
+			: await this._chooseTalentOption(options);
+
+		if (!choice) return [];
+		if (!(choice instanceof RollTable)) return [choice];
+
+		const abilityPoints = choice.getFlag("shadowdark", "abilityPoints");
+		if (abilityPoints) return this._distributeAbilityPoints(choice, abilityPoints);
+
+		const draw = await choice.draw();
+		return this._resolveTalentResults(draw.results);
+	}
+
+	async _chooseTalentOption(options) {
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/dialog/choose-talent.hbs",
+			{ options }
+		);
+
+		return Dialog.wait({
+			title: game.i18n.localize("SHADOWDARK.dialog.choose_talent.title"),
+			content,
+			buttons: {
+				select: {
+					icon: "<i class=\"fa fa-check\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.general.select"),
+					callback: html => options.find(
+						option => option.uuid === html.find("[name='talent']:checked").val()
+					) ?? null,
+				},
+				cancel: {
+					icon: "<i class=\"fa fa-times\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.general.cancel"),
+					callback: () => null,
+				},
+			},
+			default: "select",
+			close: () => null,
+		});
+	}
+
+	/**
+	 * Asks the player where to put each of their ability points, then
+	 * picks the Talents from the table that add up to that split.
+	 *
+	 * @param {RollTable} table - A table of ability bonus Talents
+	 * @param {number} points - The number of points to distribute
+	 * @returns {Promise<Array<ItemSD>>}
+	 */
+	async _distributeAbilityPoints(table, points) {
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/dialog/distribute-ability-points.hbs",
+			{
+				abilities: CONFIG.SHADOWDARK.ABILITIES_LONG,
+				points: Array.from({length: points}, (_, i) => i + 1),
+			}
+		);
+
+		const abilities = await Dialog.wait({
+			title: game.i18n.localize("SHADOWDARK.dialog.distribute_ability_points.title"),
+			content,
+			buttons: {
+				select: {
+					icon: "<i class=\"fa fa-check\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.general.select"),
+					callback: html => html.find("select").toArray().map(el => el.value),
+				},
+				cancel: {
+					icon: "<i class=\"fa fa-times\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.general.cancel"),
+					callback: () => null,
+				},
+			},
+			default: "select",
+			close: () => null,
+		});
+
+		if (!abilities) return [];
+
+		// Find the bonus each Talent on the table gives to each ability
+		const bonusTalents = {};
+		for (const result of table.results) {
+			const uuid = shadowdark.utils.getTableResultUuid(result);
+			const talent = uuid ? await fromUuid(uuid) : null;
+			if (talent?.type !== "Talent") continue;
+
+			for (const change of talent.effects.contents.flatMap(e => e.changes)) {
+				const ability = change.key.match(/^system\.abilities\.(\w+)\.bonus$/)?.[1];
+				if (!ability) continue;
+
+				bonusTalents[ability] ??= {};
+				bonusTalents[ability][parseInt(change.value)] = talent;
+			}
+		}
+
+		const talents = [];
+		for (const ability of new Set(abilities)) {
+			const count = abilities.filter(a => a === ability).length;
+			const talent = bonusTalents[ability]?.[count];
+
+			if (talent) {
+				talents.push(talent);
+			}
+			else if (bonusTalents[ability]?.[1]) {
+				for (let i = 0; i < count; i++) talents.push(bonusTalents[ability][1]);
+			}
+		}
+		return talents;
+	}
+
+	async _onDropTalent(talentItem, patron="") {
 		if (this.data.talentGained) {
 
 			// checks for effects on talent and prompts if needed
 			let talentObj = await shadowdark.utils.createItemWithEffect(talentItem);
 			talentObj.system.level = this.data.targetLevel;
+			talentObj.system.patron = patron;
 			talentObj.uuid = talentItem.uuid;
 			this.data.talents.push(talentObj);
 			this.render();
@@ -276,6 +480,7 @@ export default class LevelUpSD extends FormApplication {
 		switch (false) {
 			case (this.data.rolls.hp > 0):
 			case !(this.data.talentGained && this.data.talents.length < 1):
+			case !(this.data.canRollBoon && this.data.targetLevel === 1):
 			case spellsSelected:
 				Dialog.confirm({
 					title: game.i18n.localize("SHADOWDARK.apps.level-up.missing_selections"),
@@ -1,4 +1,9 @@
 export default class RealTimeSD {
+
+	// Every tracker running a clock, so that only one of them advances
+	// game time at once
+	static runningClocks = new Set();
+
 	constructor() {
 		this.updateIntervalMs = 1000;
 		this.updateIntervalId = undefined;
@@ -16,18 +21,24 @@ export default class RealTimeSD {
 			this._tick.bind(this),
 			this.updateIntervalMs
 		);
+		RealTimeSD.runningClocks.add(this);
 	}
 
 	stop() {
 		if (!game.user.isGM || this.updateIntervalId === undefined) return;
 		clearInterval(this.updateIntervalId);
 		this.updateIntervalId = undefined;
+		RealTimeSD.runningClocks.delete(this);
 	}
 
 	isEnabled() {
 		return game.settings.get("shadowdark", "realtimeLightTracking");
 	}
 
+	isLeadClock() {
+		return RealTimeSD.runningClocks.values().next().value === this;
+	}
+
 	isPaused() {
 		return game.paused && this._shouldPauseWithGame();
 	}
@@ -42,7 +53,7 @@ export default class RealTimeSD {
 			return;
 		}
 		if (this.isPaused()) return;
-		if (shadowdark.utils.isPrimaryGM()) {
+		if (shadowdark.utils.isPrimaryGM() && this.isLeadClock()) {
 			game.time.advance(this.updateIntervalMs / 1000);
 		}
 	}
@@ -283,6 +283,7 @@ export default class ShadowdarklingImporterSD extends FormApplication {
 					value: json.level,
 					xp: json.XP,
 				},
+				patron: "",
 				slots: json.gearSlotsTotal,
 			},
 		};
@@ -326,6 +327,13 @@ export default class ShadowdarklingImporterSD extends FormApplication {
 		const deity = await this._findItem(json.deity, "Deity");
 		this.importedActor.system.deity = deity?.uuid ?? "";
 
+		// Load Patron, which is only given with the boons it granted
+		const boonPatron = json.bonuses.find(bonus => bonus.boonPatron)?.boonPatron;
+		if (boonPatron) {
+			const patron = await this._findItem(boonPatron, "Patron");
+			this.importedActor.system.patron = patron?.uuid ?? "";
+		}
+
 		// Load Languages
 		for (const language of json.languages.split(/\s*,\s*/)) {
 			const foundLanguage = await this._findItem(language, "Language");
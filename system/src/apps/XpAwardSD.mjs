@@ -0,0 +1,174 @@
+export default class XpAwardSD extends FormApplication {
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "xp-award"],
+			width: 400,
+			resizable: false,
+			closeOnSubmit: false,
+			submitOnChange: false,
+		});
+	}
+
+	/** @inheritdoc */
+	get template() {
+		return "systems/shadowdark/templates/apps/xp-award.hbs";
+	}
+
+	/** @inheritdoc */
+	get title() {
+		return game.i18n.localize("SHADOWDARK.apps.xp-award.title");
+	}
+
+	/** @inheritdoc */
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find("[data-action='new-session']").click(
+			event => this._onNewSession(event)
+		);
+
+		html.find("[name='quality']").change(
+			event => this._onChangeQuality(event)
+		);
+	}
+
+	/** @override */
+	async getData(options) {
+		const log = game.settings.get("shadowdark", "xpAwardLog");
+
+		const qualities = {};
+		for (const [key, xp] of Object.entries(CONFIG.SHADOWDARK.TREASURE_QUALITY_XP)) {
+			qualities[key] = game.i18n.format(
+				"SHADOWDARK.apps.xp-award.quality_option",
+				{
+					quality: game.i18n.localize(CONFIG.SHADOWDARK.TREASURE_QUALITIES[key]),
+					xp,
+				}
+			);
+		}
+		qualities.custom = game.i18n.localize("SHADOWDARK.apps.xp-award.custom");
+
+		const actors = this._partyMembers().map(actor => ({
+			id: actor.id,
+			img: actor.img,
+			name: actor.name,
+			readyToLevelUp: actor.isReadyToLevelUp(),
+			xp: actor.system.level.xp,
+			xpNextLevel: actor.xpForNextLevel(),
+		}));
+
+		return {
+			actors,
+			awards: [...log.awards].reverse(),
+			quality: this.quality ?? "normal",
+			qualities,
+			session: log.session,
+		};
+	}
+
+	_onChangeQuality(event) {
+		this.quality = event.currentTarget.value;
+		this.element.find(".custom-xp").toggle(this.quality === "custom");
+	}
+
+	async _onNewSession(event) {
+		event.preventDefault();
+
+		const log = game.settings.get("shadowdark", "xpAwardLog");
+
+		await game.settings.set("shadowdark", "xpAwardLog", {
+			session: log.session + 1,
+			awards: [],
+		});
+
+		this.render();
+	}
+
+	/**
+	 * The members of the Party actor this was opened from, otherwise all
+	 * Player actors owned by a non-GM user.
+	 *
+	 * @returns {Array<ActorSD>}
+	 */
+	_partyMembers() {
+		if (this.object?.type === "Party") return this.object.partyMembers();
+
+		return game.actors
+			.filter(actor => actor.type === "Player" && actor.hasPlayerOwner)
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/** @inheritdoc */
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+
+		const quality = data.quality;
+		const xp = quality === "custom"
+			? parseInt(data.customXp)
+			: CONFIG.SHADOWDARK.TREASURE_QUALITY_XP[quality];
+
+		if (isNaN(xp)) {
+			return ui.notifications.error(
+				game.i18n.localize("SHADOWDARK.apps.xp-award.error.invalid_xp")
+			);
+		}
+
+		const actors = Object.entries(data.actors ?? {})
+			.filter(([, selected]) => selected)
+			.map(([actorId]) => game.actors.get(actorId))
+			.filter(actor => actor);
+
+		if (actors.length === 0) {
+			return ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.apps.xp-award.error.no_actors")
+			);
+		}
+
+		const recipients = [];
+		for (const actor of actors) {
+			const readyToLevelUp = await actor.awardXP(xp);
+			recipients.push({
+				img: actor.img,
+				name: actor.name,
+				readyToLevelUp,
+			});
+		}
+
+		const description = data.description?.trim() ?? "";
+		const qualityLabel = quality === "custom"
+			? game.i18n.localize("SHADOWDARK.apps.xp-award.custom")
+			: game.i18n.localize(CONFIG.SHADOWDARK.TREASURE_QUALITIES[quality]);
+
+		const log = game.settings.get("shadowdark", "xpAwardLog");
+		log.awards.push({
+			actors: recipients.map(r => r.name),
+			description,
+			quality: qualityLabel,
+			time: new Date().toLocaleTimeString(),
+			xp,
+		});
+		await game.settings.set("shadowdark", "xpAwardLog", log);
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/xp-award.hbs",
+			{
+				description,
+				quality: qualityLabel,
+				recipients,
+				xp,
+			}
+		);
+
+		await ChatMessage.create({
+			content,
+			flags: { "core.canPopout": true },
+			speaker: ChatMessage.getSpeaker(),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+		});
+
+		this.render();
+	}
+}
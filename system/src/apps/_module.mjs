@@ -1,6 +1,9 @@
 // Property selector applications
+export {default as CarousingSD} from "./CarousingSD.mjs";
 export {default as CharacterGeneratorSD} from "./CharacterGeneratorSD.mjs";
+export {default as CrawlTrackerSD} from "./CrawlTrackerSD.mjs";
 export {default as EffectPanelSD} from "./EffectPanelSD.mjs";
+export {default as FunnelSD} from "./FunnelSD.mjs";
 export {default as GemBagSD} from "./GemBagSD.mjs";
 export {default as ItemImporterSD} from "./ItemImporterSD.mjs";
 export {default as LevelUpSD} from "./LevelUpSD.mjs";
@@ -12,3 +15,4 @@ export {default as ShadowdarklingImporterSD} from "./ShadowdarklingImporterSD.mj
 export {default as SpellBookSD} from "./SpellBookSD.mjs";
 export {default as SpellImporterSD} from "./SpellImporterSD.mjs";
 export {default as SoloDarkSD} from "./SoloDarkSD.mjs";
+export {default as XpAwardSD} from "./XpAwardSD.mjs";
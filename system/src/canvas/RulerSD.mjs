@@ -0,0 +1,15 @@
+/**
+ * Adds the Shadowdark range band to the total distance shown by the ruler.
+ */
+export default class RulerSD extends Ruler {
+
+	/** @override */
+	_getSegmentLabel(segment) {
+		const label = super._getSegmentLabel(segment);
+		if (!segment.last || segment.teleport) return label;
+
+		const band = shadowdark.utils.getRangeBand(this.totalDistance);
+
+		return `${label}\n${CONFIG.SHADOWDARK.RANGE_BANDS[band]}`;
+	}
+}
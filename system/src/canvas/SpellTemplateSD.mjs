@@ -0,0 +1,149 @@
+/**
+ * A MeasuredTemplate for the area of a spell, which follows the mouse until
+ * it is placed on the canvas. The mouse wheel rotates cones and lines, a left
+ * click places the template and a right click cancels it.
+ */
+export default class SpellTemplateSD extends MeasuredTemplate {
+
+	/**
+	 * Creates a template preview for the area of a spell, starting at the
+	 * caster's token if it has one.
+	 *
+	 * @param {ItemSD} item - The Spell, Scroll or Wand being cast
+	 * @param {Token|null} token - The caster's token
+	 * @returns {SpellTemplateSD|null} - Null if the spell has no area
+	 */
+	static fromSpell(item, token=null) {
+		const {size, type} = item.system.area ?? {};
+		const t = CONFIG.SHADOWDARK.SPELL_AREA_TEMPLATES[type];
+		if (!t) return null;
+
+		const templateData = {
+			t,
+			user: game.user.id,
+			distance: shadowdark.utils.getRangeDistances()[size],
+			direction: token?.document.rotation ?? 0,
+			x: token?.center.x ?? 0,
+			y: token?.center.y ?? 0,
+			fillColor: game.user.color,
+			flags: { shadowdark: { spell: item.uuid } },
+		};
+
+		if (t === "cone") templateData.angle = CONFIG.MeasuredTemplate.defaults.angle;
+		if (t === "ray") templateData.width = canvas.grid.distance;
+
+		const document = new CONFIG.MeasuredTemplate.documentClass(
+			templateData,
+			{ parent: canvas.scene }
+		);
+
+		const template = new this(document);
+		template.actorSheet = item.actor?.sheet ?? null;
+
+		return template;
+	}
+
+	/**
+	 * Shows the template on the canvas until the user places or cancels it.
+	 *
+	 * @returns {Promise<MeasuredTemplateDocument|null>} - Null if cancelled
+	 */
+	async drawPreview() {
+		const initialLayer = canvas.activeLayer;
+
+		await this.draw();
+		this.layer.activate();
+		this.layer.preview.addChild(this);
+
+		// Get the sheet out of the way while the template is placed
+		await this.actorSheet?.minimize();
+
+		return new Promise(resolve => {
+			this._placement = {
+				initialLayer,
+				resolve,
+				cancel: this._onCancelPlacement.bind(this),
+				confirm: this._onConfirmPlacement.bind(this),
+				move: this._onMovePlacement.bind(this),
+				moveTime: 0,
+				rotate: this._onRotatePlacement.bind(this),
+			};
+
+			canvas.stage.on("mousemove", this._placement.move);
+			canvas.stage.on("mousedown", this._placement.confirm);
+			canvas.app.view.oncontextmenu = this._placement.cancel;
+			canvas.app.view.onwheel = this._placement.rotate;
+		});
+	}
+
+	/**
+	 * Finds every token with its center inside the template.
+	 *
+	 * @returns {Array<Token>}
+	 */
+	getContainedTokens() {
+		const {x, y} = this.document;
+		const shape = this._computeShape();
+
+		return canvas.tokens.placeables.filter(
+			token => shape.contains(token.center.x - x, token.center.y - y)
+		);
+	}
+
+	async _finishPlacement(event) {
+		this.layer._onDragLeftCancel(event);
+
+		canvas.stage.off("mousemove", this._placement.move);
+		canvas.stage.off("mousedown", this._placement.confirm);
+		canvas.app.view.oncontextmenu = null;
+		canvas.app.view.onwheel = null;
+
+		this._placement.initialLayer.activate();
+		await this.actorSheet?.maximize();
+	}
+
+	async _onCancelPlacement(event) {
+		await this._finishPlacement(event);
+		this._placement.resolve(null);
+	}
+
+	async _onConfirmPlacement(event) {
+		await this._finishPlacement(event);
+
+		const [template] = await canvas.scene.createEmbeddedDocuments(
+			"MeasuredTemplate",
+			[this.document.toObject()]
+		);
+
+		this._placement.resolve(template ?? null);
+	}
+
+	_onMovePlacement(event) {
+		event.stopPropagation();
+
+		// Throttle the updates so that the template doesn't stutter
+		const now = Date.now();
+		if (now - this._placement.moveTime <= 20) return;
+
+		const position = event.data.getLocalPosition(this.layer);
+		const snapped = this.layer.getSnappedPoint(position);
+
+		this.document.updateSource({x: snapped.x, y: snapped.y});
+		this.refresh();
+
+		this._placement.moveTime = now;
+	}
+
+	_onRotatePlacement(event) {
+		if (event.ctrlKey) event.preventDefault();
+		event.stopPropagation();
+
+		const delta = canvas.grid.type > CONST.GRID_TYPES.SQUARE ? 30 : 15;
+		const snap = event.shiftKey ? delta : 5;
+
+		this.document.updateSource({
+			direction: this.document.direction + (snap * Math.sign(event.deltaY)),
+		});
+		this.refresh();
+	}
+}
@@ -0,0 +1,2 @@
+export {default as RulerSD} from "./RulerSD.mjs";
+export {default as SpellTemplateSD} from "./SpellTemplateSD.mjs";
@@ -84,6 +84,49 @@ async function applyHpToMax(event) {
 	await actor.addToHpBase(hp);
 }
 
+/**
+ * Applies the damage rolled for an attack to the target token it hit.
+ * @param {Event} event - PointerEvent for click on button
+ * @param {ChatMessage} message - The chat message of the attack
+ */
+async function applyTargetDamage(event, message) {
+	const button = event.currentTarget;
+	const token = await fromUuid(button.dataset.tokenUuid);
+	if (!token?.actor?.isOwner) return;
+
+	const damage = foundry.utils.getProperty(
+		message.flags,
+		`${button.dataset.damage}.roll.total`
+	) ?? 0;
+
+	await _applyDamageToActors(
+		message,
+		[token.actor],
+		damage,
+		1,
+		button.dataset.damage
+	);
+}
+
+/**
+ * Gives the target token a copy of the Effect linked to an area spell.
+ * @param {Event} event - PointerEvent for click on button
+ * @param {ChatMessage} message - The chat message of the spell's area
+ */
+async function applyTargetEffect(event, message) {
+	const button = event.currentTarget;
+	const token = await fromUuid(button.dataset.tokenUuid);
+	if (!token?.actor || !game.user.isGM) return;
+
+	const effectUuid = message.getFlag("shadowdark", "effect");
+	const effect = effectUuid ? await fromUuid(effectUuid) : null;
+	if (effect?.type !== "Effect") return;
+
+	button.disabled = true;
+
+	await token.actor.createEmbeddedDocuments("Item", [effect.toObject()]);
+}
+
 /**
  * Handles the chatcard button actions when applicable.
  * @param {ChatLog} app - The ChatLog instance
@@ -97,6 +140,25 @@ async function chatCardButtonAction(app, html, data) {
 		applyHpToMax(ev);
 	});
 
+	const targetDamageButton = html.find("button[data-action=apply-target-damage]");
+	targetDamageButton.each((index, button) => {
+		// Only those who can change the target's HP need the button
+		if (!fromUuidSync(button.dataset.tokenUuid)?.isOwner) button.remove();
+	});
+	targetDamageButton.on("click", ev => {
+		ev.preventDefault();
+		applyTargetDamage(ev, app);
+	});
+
+	const targetEffectButton = html.find("button[data-action=apply-target-effect]");
+	targetEffectButton.each((index, button) => {
+		if (!game.user.isGM) button.remove();
+	});
+	targetEffectButton.on("click", ev => {
+		ev.preventDefault();
+		applyTargetEffect(ev, app);
+	});
+
 	const castSpellButton = html.find("button[data-action=cast-spell]");
 	castSpellButton.on("click", ev => {
 		ev.preventDefault();
@@ -137,6 +199,66 @@ async function chatCardButtonAction(app, html, data) {
 		actor.rollAttack(itemId);
 	});
 
+	const deathRecoveryButton = html.find("button[data-action=roll-death-recovery]");
+	deathRecoveryButton.on("click", ev => {
+		ev.preventDefault();
+		const actorId = $(ev.currentTarget).data("actor-id");
+		const actor = game.actors.get(actorId);
+
+		if (actor?.isOwner) actor.rollDeathRecovery();
+	});
+
+	const focusCheckButton = html.find("button[data-action=roll-focus-check]");
+	focusCheckButton.on("click", ev => {
+		ev.preventDefault();
+		const actorUuid = $(ev.currentTarget).data("actor-uuid");
+		const actor = fromUuidSync(actorUuid);
+
+		if (actor?.isOwner) actor.rollFocusCheck();
+	});
+
+	const recoverAmmunitionButton = html.find("button[data-action=recover-ammunition]");
+	recoverAmmunitionButton.on("click", ev => {
+		ev.preventDefault();
+		const actorUuid = $(ev.currentTarget).data("actor-uuid");
+		const actor = fromUuidSync(actorUuid);
+
+		if (actor?.isOwner) actor.recoverAmmunition();
+	});
+
+	const contestButton = html.find("button[data-action=roll-contest]");
+	contestButton.each((_, button) => {
+		const actor = fromUuidSync(button.dataset.actorUuid);
+		if (!actor?.isOwner) $(button).closest(".contest-response").remove();
+	});
+	contestButton.on("click", ev => {
+		ev.preventDefault();
+		const actorUuid = $(ev.currentTarget).data("actor-uuid");
+		const ability = $(ev.currentTarget).siblings(".contest-ability").val();
+		const actor = fromUuidSync(actorUuid);
+
+		if (actor?.isOwner) actor.rollContest(app, ability);
+	});
+
+	const placeMonstersButton = html.find("button[data-action=place-monsters]");
+	placeMonstersButton.on("click", ev => {
+		ev.preventDefault();
+		const uuid = $(ev.currentTarget).data("uuid");
+		const quantity = $(ev.currentTarget).data("quantity");
+
+		game.shadowdark.crawlTracker.placeMonsters(uuid, quantity);
+	});
+
+	const moraleButton = html.find("button[data-action=roll-morale]");
+	moraleButton.on("click", ev => {
+		ev.preventDefault();
+		const actorId = $(ev.currentTarget).data("actor-id");
+		const combatId = $(ev.currentTarget).data("combat-id");
+		const combat = game.combats.get(combatId);
+
+		if (game.user.isGM) combat?.rollMorale(actorId);
+	});
+
 	const rollPromptButton = html.find("button[data-action=roll-prompt]");
 	rollPromptButton.on("click", ev => {
 		ev.preventDefault();
@@ -150,6 +272,7 @@ export function chatCardBlind(app, html, data) {
 		$(html).find(".blindable .dice-total").text("???");
 		$(html).find(".dice-rolls").remove();
 		$(html).find(".dice .part-total").remove();
+		$(html).find(".card-attack-targets").remove();
 		return true; // Prevent further actions to happen
 	}
 	return false;
@@ -197,7 +320,33 @@ export function addChatMessageContextOptions(html, options) {
 			&& (_chatMessageIsDamageCardSecondary(message));
 	};
 
+	const canRerollWithLuck = li => {
+		const message = game.messages.get(li.data("messageId"));
+		const reroll = message?.getFlag("shadowdark", "reroll");
+
+		if (!reroll || message.getFlag("shadowdark", "luckSpent")) return false;
+
+		const actor = fromUuidSync(reroll.documents.actor);
+
+		return message.isOwner
+			&& actor?.isOwner
+			&& actor.hasLuck();
+	};
+
+	const canUndoDamage = li => {
+		const message = game.messages.get(li.data("messageId"));
+
+		return game.user.isGM
+			&& message?.getFlag("shadowdark", "damageApplications")?.length > 0;
+	};
+
 	options.push(
+		{
+			name: game.i18n.localize("SHADOWDARK.chat_card.context.reroll_with_luck"),
+			icon: '<i class="fas fa-clover"></i>',
+			condition: canRerollWithLuck,
+			callback: li => rerollWithLuck(li),
+		},
 		{
 			name: game.i18n.localize("SHADOWDARK.chat_card.context.apply_damage"),
 			icon: '<i class="fas fa-user-minus"></i>',
@@ -221,6 +370,12 @@ export function addChatMessageContextOptions(html, options) {
 			icon: '<i class="fas fa-user-plus"></i>',
 			condition: canApplySecondaryDamage,
 			callback: li => applyChatCardDamageSecondary(li, -1),
+		},
+		{
+			name: game.i18n.localize("SHADOWDARK.chat_card.context.undo_damage"),
+			icon: '<i class="fas fa-rotate-left"></i>',
+			condition: canUndoDamage,
+			callback: li => undoChatCardDamage(li),
 		}
 	);
 
@@ -253,10 +408,12 @@ function applyChatCardDamage(li, multiplier) {
 		return;
 	}
 
-	return Promise.all(canvas.tokens.controlled.map(t => {
-	  const a = t.actor;
-	  return a.applyDamage(roll.total, multiplier);
-	}));
+	return _applyDamageToActors(
+		message,
+		canvas.tokens.controlled.map(t => t.actor).filter(a => a),
+		roll.total,
+		multiplier
+	);
 }
 
 /**
@@ -278,10 +435,122 @@ function applyChatCardDamageSecondary(li, multiplier) {
 
 	let roll = message?.flags.rolls.secondaryDamage.roll;
 
-	return Promise.all(canvas.tokens.controlled.map(t => {
-	  const a = t.actor;
-	  return a.applyDamage(roll.total, multiplier);
-	}));
+	return _applyDamageToActors(
+		message,
+		canvas.tokens.controlled.map(t => t.actor).filter(a => a),
+		roll.total,
+		multiplier
+	);
+}
+
+/**
+ * Revert every damage or healing application recorded on the chat message,
+ * most recent first.
+ *
+ * @param {HTMLElement} li      The chat entry which the damage was applied from
+ * @returns {Promise}
+ */
+async function undoChatCardDamage(li) {
+	const message = game.messages.get(li.data("messageId"));
+	const applications = message?.getFlag("shadowdark", "damageApplications") ?? [];
+
+	for (const application of [...applications].reverse()) {
+		const document = await fromUuid(application.uuid);
+		const actor = document?.documentName === "Token"
+			? document.actor
+			: document;
+
+		if (!actor) continue;
+
+		const hp = actor.system.attributes.hp;
+		const change = application.previousHp - application.hp;
+
+		await actor.update({
+			"system.attributes.hp.value": Math.clamped(hp.value + change, 0, hp.max),
+		});
+	}
+
+	return message.unsetFlag("shadowdark", "damageApplications");
+}
+
+/**
+ * Apply damage to each of the actors, and record what was applied on the
+ * chat message so that it can be undone. Users who can't update the message
+ * have the primary GM record it for them.
+ *
+ * @param {ChatMessage} message   The chat message the damage was rolled in
+ * @param {Array<Actor>} actors   The actors to apply the damage to
+ * @param {number} damage         The amount of damage rolled
+ * @param {number} multiplier     A damage multiplier, -1 for healing
+ * @param {string} damagePath     Where the damage roll is in the message
+ *                                flags, for messages with several attacks
+ * @returns {Promise}
+ */
+async function _applyDamageToActors(
+	message, actors, damage, multiplier, damagePath=""
+) {
+	// Attack routines record the traits of each attack next to its rolls
+	const attackPath = damagePath.split(".").slice(0, -1).join(".");
+	const attackTraits = attackPath
+		? foundry.utils.getProperty(message.flags, `${attackPath}.damageTraits`)
+		: undefined;
+	const damageTraits = attackTraits
+		?? message.getFlag("shadowdark", "damageTraits")
+		?? [];
+	const applications = [];
+
+	for (const actor of actors) {
+		const result = await actor.applyDamage(damage, multiplier, damageTraits);
+
+		applications.push({
+			...result,
+			uuid: actor.token?.uuid ?? actor.uuid,
+		});
+	}
+
+	if (message.canUserModify(game.user, "update")) {
+		return recordDamageApplications(message, applications);
+	}
+
+	game.socket.emit("system.shadowdark", {
+		type: "recordDamageApplications",
+		data: {
+			applications,
+			messageId: message.id,
+		},
+	});
+}
+
+/**
+ * Append damage applications to those already recorded on the chat message.
+ *
+ * @param {ChatMessage} message       The chat message the damage was rolled in
+ * @param {Array<object>} applications  The damage applications to record
+ * @returns {Promise}
+ */
+export function recordDamageApplications(message, applications) {
+	const recorded = message.getFlag("shadowdark", "damageApplications") ?? [];
+
+	return message.setFlag(
+		"shadowdark",
+		"damageApplications",
+		[...recorded, ...applications]
+	);
+}
+
+/**
+ * Spend a luck token belonging to the actor that made the roll in order to
+ * roll it again.
+ *
+ * @param {HTMLElement} li      The chat entry which contains the roll data
+ * @returns {Promise}
+ */
+function rerollWithLuck(li) {
+	const message = game.messages.get(li.data("messageId"));
+	const reroll = message?.getFlag("shadowdark", "reroll");
+	const actor = reroll ? fromUuidSync(reroll.documents.actor) : null;
+
+	return actor?.rerollWithLuck(message);
 }
 
 
@@ -19,6 +19,24 @@ SHADOWDARK.ABILITY_KEYS = [
 	"cha",
 ];
 
+SHADOWDARK.ABILITY_SCORE_METHODS = {
+	inOrder: "SHADOWDARK.ability_score_method.in_order",
+	arrange: "SHADOWDARK.ability_score_method.arrange",
+	fourD6: "SHADOWDARK.ability_score_method.four_d6",
+	standardArray: "SHADOWDARK.ability_score_method.standard_array",
+	rerollLow: "SHADOWDARK.ability_score_method.reroll_low",
+};
+
+// How each method generates its scores. Arranged scores can be moved onto
+// any ability, otherwise they are assigned in the order of ABILITY_KEYS.
+SHADOWDARK.ABILITY_SCORE_METHOD_RULES = {
+	inOrder: {arrange: false, formula: "3d6"},
+	arrange: {arrange: true, formula: "3d6"},
+	fourD6: {arrange: true, formula: "4d6kh3"},
+	standardArray: {arrange: true, scores: [15, 14, 13, 12, 10, 8]},
+	rerollLow: {arrange: false, formula: "3d6", minimumHighest: 14},
+};
+
 SHADOWDARK.ALIGNMENTS = {
 	lawful: "SHADOWDARK.alignment.lawful",
 	neutral: "SHADOWDARK.alignment.neutral",
@@ -29,6 +47,45 @@ SHADOWDARK.ARMOR_BONUS_ATTRIBUTES = {
 	dex: "SHADOWDARK.ability_dex",
 };
 
+SHADOWDARK.CAROUSING_TIERS = [
+	{ cost: 30, name: "Party A", bonus: 0, xp: 0 },
+	{ cost: 100, name: "Party B", bonus: 1, xp: 0 },
+	{ cost: 300, name: "Party C", bonus: 2, xp: 0 },
+	{ cost: 600, name: "Party D", bonus: 3, xp: 0 },
+	{ cost: 900, name: "Party E", bonus: 4, xp: 0 },
+	{ cost: 1200, name: "Party F", bonus: 5, xp: 0 },
+	{ cost: 1800, name: "Party G", bonus: 6, xp: 0 },
+];
+
+SHADOWDARK.CONDITION_MOVE_LIMITS = {
+	close: "SHADOWDARK.item.effect.mechanics.move_limit.close",
+	halfNear: "SHADOWDARK.item.effect.mechanics.move_limit.half_near",
+};
+
+// Distances in feet, scaled with the scene's Near distance like the range bands
+SHADOWDARK.CONDITION_MOVE_DISTANCES = {
+	close: 5,
+	halfNear: 15,
+};
+
+SHADOWDARK.CONDITION_ROLL_TYPES = {
+	ability: "SHADOWDARK.item.effect.mechanics.roll_type.ability",
+	attack: "SHADOWDARK.item.effect.mechanics.roll_type.attack",
+	spell: "SHADOWDARK.item.effect.mechanics.roll_type.spell",
+};
+
+SHADOWDARK.DANGER_LEVELS = {
+	unsafe: "SHADOWDARK.danger_level.unsafe",
+	risky: "SHADOWDARK.danger_level.risky",
+	deadly: "SHADOWDARK.danger_level.deadly",
+};
+
+SHADOWDARK.DANGER_LEVEL_CHECK_ROUNDS = {
+	unsafe: 3,
+	risky: 2,
+	deadly: 1,
+};
+
 SHADOWDARK.DICE = {
 	d2: "d2",
 	d4: "d4",
@@ -47,6 +104,13 @@ SHADOWDARK.DAMAGE_DICE = [
 	"d12",
 ];
 
+SHADOWDARK.DAMAGE_TRAITS = {
+	magic: "SHADOWDARK.damage_trait.magic",
+	nonmagic: "SHADOWDARK.damage_trait.nonmagic",
+	silver: "SHADOWDARK.damage_trait.silver",
+	nonsilver: "SHADOWDARK.damage_trait.nonsilver",
+};
+
 SHADOWDARK.BOON_TYPES = {
 	oath: "SHADOWDARK.boons.oath",
 	secret: "SHADOWDARK.boons.secret",
@@ -55,11 +119,17 @@ SHADOWDARK.BOON_TYPES = {
 
 SHADOWDARK.DEFAULTS = {
 	BASE_ARMOR_CLASS: 10,
+	CAROUSING_ROLL: "1d8",
+	ENCOUNTER_CHECK_ROLL: "1d6",
 	GEAR_SLOTS: 10,
 	GEMS_PER_SLOT: 10,
 	FREE_COIN_CARRY: 100,
 	LEARN_SPELL_DC: 15,
 	LIGHT_TRACKER_UPDATE_INTERVAL_SECS: 30,
+	MORALE_DC: 15,
+	// Effects need a duration for their icon to show on the token, so
+	// lasting effects get one that is long enough to never run out
+	TOKEN_ICON_DURATION_SECS: 4201620,
 	ITEM_IMAGES: {
 		"Ancestry": "icons/environment/people/group.webp",
 		"Armor": "icons/equipment/chest/breastplate-banded-steel-gold.webp",
@@ -76,6 +146,7 @@ SHADOWDARK.DEFAULTS = {
 		"NPC Special Attack": "icons/magic/death/weapon-sword-skull-purple.webp",
 		"NPC Spell": "icons/magic/symbols/runes-star-magenta.webp",
 		"NPC Feature": "icons/creatures/abilities/dragon-breath-purple.webp",
+		"Patron": "icons/magic/unholy/silhouette-evil-horned-giant.webp",
 		"Potion": "icons/consumables/potions/bottle-corked-red.webp",
 		"Property": "icons/sundries/documents/document-torn-diagram-tan.webp",
 		"Scroll": "icons/sundries/scrolls/scroll-runed-brown-purple.webp",
@@ -119,6 +190,14 @@ SHADOWDARK.NPC_MOVES = {
 	special: "SHADOWDARK.npc_move.special",
 };
 
+// The abilities that the Overloaded effect gives disadvantage on for each
+// option of the overloadedDisadvantage setting
+SHADOWDARK.OVERLOADED_ABILITIES = {
+	none: [],
+	strDex: ["str", "dex"],
+	all: ["str", "int", "wis", "con", "cha", "dex"],
+};
+
 SHADOWDARK.PROPERTY_TYPES = {
 	armor: "SHADOWDARK.property.type.option.armor",
 	weapon: "SHADOWDARK.property.type.option.weapon",
@@ -138,6 +217,21 @@ SHADOWDARK.RANGES_SHORT = {
 	self: "SHADOWDARK.range.self_short",
 };
 
+SHADOWDARK.RANGE_BANDS = {
+	close: "SHADOWDARK.range.close",
+	near: "SHADOWDARK.range.near",
+	doubleNear: "SHADOWDARK.range.doubleNear",
+	far: "SHADOWDARK.range.far",
+};
+
+// Distances in feet, which assumes the usual 5 feet grid square
+SHADOWDARK.RANGE_DISTANCES = {
+	close: 5,
+	near: 30,
+	doubleNear: 60,
+	far: 120,
+};
+
 SHADOWDARK.OFFICIAL_SOURCES = {
 	"cursed-scroll-1": "SHADOWDARK.source.cursed-scroll-1",
 	"cursed-scroll-2": "SHADOWDARK.source.cursed-scroll-2",
@@ -212,10 +306,24 @@ SHADOWDARK.EFFECT_TRANSLATIONS = {
 	"system.bonuses.weaponMastery": "SHADOWDARK.talent.type.weapon_mastery",
 };
 
+SHADOWDARK.ENCOUNTER_TABLE_UUIDS = {
+	activity: "Compendium.shadowdark.rollable-tables.RollTable.wPg13uAPhmRPtd8y",
+	distance: "Compendium.shadowdark.rollable-tables.RollTable.qwzmxwaurxwhTc4f",
+	reaction: "Compendium.shadowdark.rollable-tables.RollTable.ZtQzGRfn64Et3yge",
+};
+
 SHADOWDARK.JOURNAL_UUIDS = {
 	RELEASE_NOTES: "Compendium.shadowdark.documentation.JournalEntry.UJ60Lf9ecijEOO6I",
 };
 
+SHADOWDARK.PENANCE_COSTS = {
+	1: 5,
+	2: 20,
+	3: 40,
+	4: 90,
+	5: 150,
+};
+
 SHADOWDARK.PREDEFINED_EFFECTS = {
 	abilityImprovementCha: {
 		defaultValue: 1,
@@ -517,6 +625,25 @@ SHADOWDARK.DURATION_UNITS = {
 	days: 86400,
 };
 
+SHADOWDARK.SPELL_AREA_SIZES = {
+	close: "SHADOWDARK.range.close",
+	near: "SHADOWDARK.range.near",
+	far: "SHADOWDARK.range.far",
+};
+
+SHADOWDARK.SPELL_AREA_TYPES = {
+	circle: "SHADOWDARK.spell_area.circle",
+	cone: "SHADOWDARK.spell_area.cone",
+	line: "SHADOWDARK.spell_area.line",
+};
+
+// The MeasuredTemplate shape used to place each type of spell area
+SHADOWDARK.SPELL_AREA_TEMPLATES = {
+	circle: "circle",
+	cone: "cone",
+	line: "ray",
+};
+
 SHADOWDARK.SPELL_RANGES = {
 	self: "SHADOWDARK.range.self",
 	close: "SHADOWDARK.range.close",
@@ -527,12 +654,48 @@ SHADOWDARK.SPELL_RANGES = {
 	unlimited: "SHADOWDARK.range.unlimited",
 };
 
+SHADOWDARK.SPELL_MISHAP_TABLE_UUIDS = {
+	1: "Compendium.shadowdark.rollable-tables.RollTable.NiiJKAiBjpPAj5U1",
+	2: "Compendium.shadowdark.rollable-tables.RollTable.NiiJKAiBjpPAj5U1",
+	3: "Compendium.shadowdark.rollable-tables.RollTable.tXhX6Iv3rOc6GlF6",
+	4: "Compendium.shadowdark.rollable-tables.RollTable.tXhX6Iv3rOc6GlF6",
+	5: "Compendium.shadowdark.rollable-tables.RollTable.q83PUKIAznuLpqSr",
+};
+
+SHADOWDARK.SPELLCASTING_TRADITIONS = {
+	arcane: "SHADOWDARK.class.spellcasting_tradition.arcane",
+	divine: "SHADOWDARK.class.spellcasting_tradition.divine",
+};
+
+// Traditions of the system's spellcasting classes, used for classes that
+// cast their spells and don't set a tradition of their own
+SHADOWDARK.SPELLCASTING_CLASS_TRADITIONS = {
+	"Compendium.shadowdark.classes.Item.035nuVkU9q2wtMPs": "arcane", // Wizard
+	"Compendium.shadowdark.classes.Item.KGnBAFiTiLHZJUND": "arcane", // Witch
+	"Compendium.shadowdark.classes.Item.oZWzXx1WRLg286zD": "divine", // Priest
+	"Compendium.shadowdark.classes.Item.xdjod5gPhNPIkLth": "divine", // Seer
+};
+
 SHADOWDARK.TALENT_CLASSES = {
 	ancestry: "SHADOWDARK.talent.class.ancestry",
 	class: "SHADOWDARK.talent.class.class",
 	level: "SHADOWDARK.talent.class.level",
 };
 
+SHADOWDARK.TREASURE_QUALITIES = {
+	poor: "SHADOWDARK.treasure_quality.poor",
+	normal: "SHADOWDARK.treasure_quality.normal",
+	fabulous: "SHADOWDARK.treasure_quality.fabulous",
+	legendary: "SHADOWDARK.treasure_quality.legendary",
+};
+
+SHADOWDARK.TREASURE_QUALITY_XP = {
+	poor: 0,
+	normal: 1,
+	fabulous: 3,
+	legendary: 10,
+};
+
 SHADOWDARK.WEAPON_BASE_DAMAGE = {
 	d2: "1d2",
 	d4: "1d4",
@@ -44,6 +44,19 @@ export default class RollSD extends Roll {
 				: game.settings.get("core", "rollMode");
 		}
 
+		// Attacks are checked against the AC of whoever the attacker has
+		// targeted
+		if (data.item?.isWeapon() || data.item?.type === "NPC Attack") {
+			data.targetTokens ??= Array.from(
+				game.user.targets,
+				token => token.document.uuid
+			);
+		}
+
+		// Keep what's needed to run the same roll again if a luck token is
+		// spent on it
+		options.reroll = this._getRerollData(parts, data, adv, options);
+
 		// Roll the Dice
 		data.rolls = {
 			main: await this._rollAdvantage(parts, data, adv),
@@ -57,10 +70,15 @@ export default class RollSD extends Roll {
 			return this._renderRoll(data, adv, options);
 		}
 
+		if (data.rollType === "deathRecovery") {
+			return this._renderRoll(data, adv, options);
+		}
+
 		// Roll damage for NPCs attack types
 		if (data.item.type === "NPC Attack" || data.item.type === "NPC Special Attack") {
 			if (data.item.type === "NPC Attack") {
 				data = await this._rollNpcAttack(data);
+				data.targets = this._getAttackTargets(data);
 			}
 			if (!options.flavor) {
 				options.flavor = game.i18n.format(
@@ -78,6 +96,7 @@ export default class RollSD extends Roll {
 			// Weapon? -> Roll Damage dice
 			if (data.item?.isWeapon()) {
 				data = await this._rollWeapon(data);
+				data.targets = this._getAttackTargets(data);
 				if (!options.flavor) {
 					options.flavor = game.i18n.format(
 						"SHADOWDARK.chat.item_roll.title",
@@ -117,14 +136,111 @@ export default class RollSD extends Roll {
 
 		// Check if it was a spell, and if it failed, lose it
 		const result = await this._renderRoll(data, adv, options);
+
+		// Focus checks only decide whether the caster keeps their focus
+		if (options.focusCheck) return result;
+
 		if (
 			data.item?.isSpell()
 			&& result
 			&& !result?.rolls?.main?.success
-		) data.item.update({"system.lost": true});
+		) {
+			await data.item.update({"system.lost": true});
+
+			// A natural 1 can have further consequences for the caster
+			if (result.rolls.main.critical === "failure") {
+				await data.actor?.spellCriticalFailure(data.item);
+			}
+		}
+
+		// A successful focus spell lasts for as long as the caster focuses on
+		// it, which isn't tracked for scrolls as they're used up when cast
+		if (
+			data.item?.isSpell()
+			&& result?.rolls?.main?.success
+			&& data.item.system.duration?.type === "focus"
+			&& data.item.type !== "Scroll"
+		) {
+			await data.actor?.startFocus(data.item);
+		}
 		return result;
 	}
 
+	/**
+	 * Runs a roll again from the reroll data stored on its chat message,
+	 * skipping the roll dialog and using the same bonuses and advantage.
+	 *
+	 * @param {object} reroll 	- Reroll data as generated by `_getRerollData()`
+	 * @param {object} options	- Options to add to those of the original roll
+	 * @returns {Promise<object|null>} - Null if the actor or item no longer exist
+	 */
+	static async Reroll(reroll, options={}) {
+		const data = foundry.utils.deepClone(reroll.data);
+
+		for (const [key, uuid] of Object.entries(reroll.documents)) {
+			data[key] = await fromUuid(uuid);
+			if (!data[key]) return null;
+		}
+
+		return this.Roll(
+			[...reroll.parts],
+			data,
+			false,
+			reroll.adv,
+			{
+				...foundry.utils.deepClone(reroll.options),
+				...options,
+				fastForward: true,
+			}
+		);
+	}
+
+	/**
+	 * Collects the parts, data and options of a roll so that it can be run
+	 * again later. Documents are stored by UUID.
+	 *
+	 * Rolls whose results are handled by their caller, such as HP, death
+	 * recovery and focus checks, can't be rerolled this way.
+	 *
+	 * @param {Array<string>} parts - Parts for the roll
+	 * @param {object} data 				- Data that carries actor and/or item
+	 * @param {-1|0|1} adv 					- Advantage indicator
+	 * @param {object} options 			- Options for the roll
+	 * @returns {object|null}				- Reroll data
+	 */
+	static _getRerollData(parts, data, adv, options) {
+		if (!data.actor) return null;
+		if (["deathRecovery", "hp"].includes(data.rollType)) return null;
+		if (options.focusCheck) return null;
+
+		const rerollData = {};
+		const documents = {};
+		for (const [key, value] of Object.entries(data)) {
+			if (key === "rolls") continue;
+
+			if (value instanceof foundry.abstract.Document) {
+				documents[key] = value.uuid;
+			}
+			else {
+				rerollData[key] = foundry.utils.deepClone(value);
+			}
+		}
+
+		const rerollOptions = {};
+		for (const [key, value] of Object.entries(options)) {
+			if (["dialogOptions", "fastForward", "reroll"].includes(key)) continue;
+			rerollOptions[key] = foundry.utils.deepClone(value);
+		}
+
+		return {
+			adv,
+			data: rerollData,
+			documents,
+			options: rerollOptions,
+			parts: [...parts],
+		};
+	}
+
 	/* -------------------------------------------- */
 	/*  Roll Analysis                               */
 	/* -------------------------------------------- */
@@ -168,6 +284,36 @@ export default class RollSD extends Roll {
 		return null;
 	}
 
+	/**
+	 * Compares an attack roll against the AC of each targeted token. A
+	 * critical success always hits and a critical failure always misses.
+	 * @param {object} data 		- Data containing the attack roll and `targetTokens`
+	 * @returns {Array<object>}	- Whether the attack hit each target
+	 */
+	static _getAttackTargets(data) {
+		const critical = data.rolls.main.critical;
+		const total = data.rolls.main.roll.total;
+
+		const targets = [];
+		for (const uuid of data.targetTokens ?? []) {
+			const token = fromUuidSync(uuid);
+			if (!token?.actor) continue;
+
+			const hit = critical
+				? critical === "success"
+				: total >= token.actor.system.attributes.ac.value;
+
+			targets.push({
+				critical: hit && critical === "success",
+				hit,
+				img: token.texture.src,
+				name: token.name,
+				uuid,
+			});
+		}
+		return targets;
+	}
+
 	/**
 	 * Removes the `@bonus` valeus from `parts` array that do not have
 	 * corresponding `data.bonus` value, for a cleaner roll.
@@ -443,6 +589,77 @@ export default class RollSD extends Roll {
 	/*  Dialogs                                     */
 	/* -------------------------------------------- */
 
+	/**
+	 * Works out whether the mechanical effects of conditions on the roller,
+	 * or on the targets of an attack, give the roll advantage or
+	 * disadvantage by default. Advantage and disadvantage cancel each other
+	 * out. The reasons are added to `options.rollNotes`.
+	 * @param {object} data 		- Data containing the `actor` and `item`
+	 * @param {object} options 	- Options for the roll, updated in place
+	 */
+	static _applyConditionAdvantage(data, options) {
+		if (!data.actor) return;
+
+		let rollType = null;
+		if (data.rollType === "ability") {
+			rollType = "ability";
+		}
+		else if (data.item?.isWeapon() || data.item?.type === "NPC Attack") {
+			rollType = "attack";
+		}
+		else if (data.item?.isSpell()) {
+			rollType = "spell";
+		}
+		if (!rollType) return;
+
+		const rollNotes = [...(options.rollNotes ?? [])];
+		let advantage = options.adv === 1;
+		let disadvantage = options.adv === -1;
+
+		for (const effect of data.actor.getMechanicalEffects("disadvantage", rollType)) {
+			disadvantage = true;
+			rollNotes.push(game.i18n.format(
+				"SHADOWDARK.dialog.condition.disadvantage",
+				{ condition: effect.name }
+			));
+		}
+
+		if (rollType === "ability") {
+			const effects = data.actor.getMechanicalEffects(
+				"disadvantageAbilities", data.abilityId
+			);
+
+			for (const effect of effects) {
+				disadvantage = true;
+				rollNotes.push(game.i18n.format(
+					"SHADOWDARK.dialog.condition.disadvantage",
+					{ condition: effect.name }
+				));
+			}
+		}
+
+		if (rollType === "attack") {
+			for (const target of game.user.targets) {
+				const effects = target.actor?.getMechanicalEffects("attackerAdvantage") ?? [];
+
+				for (const effect of effects) {
+					advantage = true;
+					rollNotes.push(game.i18n.format(
+						"SHADOWDARK.dialog.condition.attacker_advantage",
+						{ condition: effect.name, target: target.name }
+					));
+				}
+			}
+		}
+
+		if (advantage && disadvantage) {
+			rollNotes.push(game.i18n.localize("SHADOWDARK.dialog.condition.cancelled"));
+		}
+
+		options.adv = advantage === disadvantage ? 0 : (advantage ? 1 : -1);
+		options.rollNotes = rollNotes;
+	}
+
 	/**
 	 * Renders HTML for display as roll dialog
 	 * @param {Array<string>} parts		- Dice formula parts
@@ -465,6 +682,7 @@ export default class RollSD extends Roll {
 			formula: Array.from(parts).join(" + "),
 			rollModes: CONFIG.Dice.rollModes,
 			rollMode: options.rollMode,
+			rollNotes: options.rollNotes ?? [],
 		};
 
 		// If rollMode is already specified, don't override it
@@ -476,15 +694,19 @@ export default class RollSD extends Roll {
 	}
 
 	/**
-	 * Renders a Roll Dialog and displays the appropriate bonuses
+	 * Renders a Roll Dialog and displays the appropriate bonuses. An
+	 * `options.adv` of 1 or -1 makes advantage or disadvantage the default,
+	 * with the reasons for it given in `options.rollNotes`.
 	 * @param {Array<string>} parts - Predetermined roll dice & @bonuses
 	 * @param {object} data 				- Data container with dialogTitle
 	 * @param {object} options 			- Configuration options for dialog
 	 * @returns {Promise(Roll)}			- Returns the promise of evaluated roll(s)
 	 */
 	static async RollDialog(parts, data, options={}) {
+		this._applyConditionAdvantage(data, options);
+
 		if ( options.fastForward ) {
-			return await this.Roll(parts, data, false, 0, options);
+			return await this.Roll(parts, data, false, options.adv ?? 0, options);
 		}
 
 		if (!options.title) {
@@ -518,7 +740,7 @@ export default class RollSD extends Roll {
 				},
 			},
 			close: () => null,
-			default: "normal",
+			default: {1: "advantage", [-1]: "disadvantage"}[options.adv] ?? "normal",
 			render: html => {
 				// Check if the actor has advantage, and add highlight if that
 				// is the case
@@ -591,6 +813,17 @@ export default class RollSD extends Roll {
 			templateData.isWeapon = data.item.isWeapon();
 			templateData.isVersatile = await data.item.isVersatile();
 
+			if (templateData.isSpell && data.actor?.type === "Player") {
+				templateData.spellTradition =
+					await data.actor.getSpellcastingTradition();
+			}
+
+			if (templateData.isSpell && data.rolls.main?.critical === "success") {
+				templateData.doubledDuration = this._getDoubledSpellDuration(
+					data.item
+				);
+			}
+
 			const propertyNames = [];
 
 			for (const property of await data.item.propertyItems()) {
@@ -602,6 +835,24 @@ export default class RollSD extends Roll {
 		return templateData;
 	}
 
+	/**
+	 * A critical success lets the caster double one numerical value of a
+	 * spell, so work out what the spell's duration would be when doubled.
+	 *
+	 * @param {ItemSD} item - The spell that was cast
+	 * @returns {string|false} - The doubled duration, if it has one
+	 */
+	static _getDoubledSpellDuration(item) {
+		const {type, value} = item.system.duration ?? {};
+		if (!CONFIG.SHADOWDARK.VARIABLE_DURATIONS.includes(type)) return false;
+
+		const doubled = /^\d+$/.test(`${value}`)
+			? parseInt(value, 10) * 2
+			: `2 × ${value}`;
+
+		return `${doubled} ${CONFIG.SHADOWDARK.SPELL_DURATIONS[type]}`;
+	}
+
 	/**
 	 * Generate HTML for a chat card for a roll
 	 * @param {object} data 		- Optional data containing `item` and `actor`
@@ -637,6 +888,18 @@ export default class RollSD extends Roll {
 			options.target
 		);
 
+		chatData.flags.shadowdark = {};
+
+		if (options.reroll) {
+			chatData.flags.shadowdark.luckSpent = options.luckReroll ?? false;
+			chatData.flags.shadowdark.reroll = options.reroll;
+		}
+
+		// Applying the damage needs to know what it came from
+		if (data.rolls.primaryDamage && data.item) {
+			chatData.flags.shadowdark.damageTraits = await data.item.damageTraits();
+		}
+
 		// TODO: Write tests for this.
 		// Add whether the roll succeeded or not to the roll data
 		data.rolls.main.success = (chatData.flags.success)
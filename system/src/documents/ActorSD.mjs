@@ -21,6 +21,110 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * Checks that every targeted token is within range of an attack. Melee
+	 * attacks only reach close targets, while thrown and ranged attacks reach
+	 * as far as the range of the weapon. Depending on the world setting,
+	 * attacking a target out of range either warns the attacker or makes the
+	 * attack with disadvantage.
+	 *
+	 * @param {ItemSD} item - The Weapon or NPC Attack
+	 * @param {string} attackType - Either melee or ranged, for Weapons
+	 * @param {object} options - Options for the attack roll
+	 */
+	_checkAttackRange(item, attackType, options) {
+		const setting = game.settings.get("shadowdark", "outOfRangeAttacks");
+		if (setting === "off" || !canvas.ready) return;
+
+		const token = this.token?.object ?? this.getCanvasToken();
+		if (!token) return;
+
+		const bands = Object.keys(CONFIG.SHADOWDARK.RANGE_BANDS);
+
+		let range = "close";
+		if (item.system.ranges) {
+			range = bands.findLast(band => item.system.ranges.includes(band))
+				?? "close";
+		}
+		else if (attackType === "ranged") {
+			range = item.system.range === "nearLine" ? "near" : item.system.range;
+		}
+
+		const outOfRange = Array.from(game.user.targets).filter(target => {
+			const band = shadowdark.utils.getRangeBand(
+				shadowdark.utils.getTokenDistance(token, target)
+			);
+			return bands.indexOf(band) > bands.indexOf(range);
+		});
+		if (outOfRange.length === 0) return;
+
+		const targets = outOfRange.map(target => target.name).join(", ");
+
+		if (setting === "disadvantage") {
+			options.adv = -1;
+			options.rollNotes = [
+				...(options.rollNotes ?? []),
+				game.i18n.format("SHADOWDARK.dialog.item_roll.out_of_range", {
+					targets,
+				}),
+			];
+		}
+		else {
+			ui.notifications.warn(
+				game.i18n.format("SHADOWDARK.notify.attack.out_of_range", {
+					targets,
+					weapon: item.name,
+				})
+			);
+		}
+	}
+
+
+	/**
+	 * Creates an Effect that marks the actor as being in some state, shown
+	 * on their token and in the effect panel. The Effect is tagged with a
+	 * flag so that it can be found again.
+	 *
+	 * @param {string} name - Name of the Effect
+	 * @param {string} img - Image of the Effect, also shown on the token
+	 * @param {object} flag - The `shadowdark` flags to tag the Effect with
+	 * @param {object} system - System data for the Effect
+	 * @returns {Promise<Array<ItemSD>>}
+	 */
+	async _createMarkerEffect(name, img, flag, system) {
+		return this.createEmbeddedDocuments("Item", [{
+			name,
+			img,
+			type: "Effect",
+			system,
+			effects: [{
+				name,
+				img,
+				changes: [],
+				duration: {
+					seconds: CONFIG.SHADOWDARK.DEFAULTS.TOKEN_ICON_DURATION_SECS,
+				},
+				transfer: true,
+			}],
+			flags: { shadowdark: flag },
+		}]);
+	}
+
+
+	/**
+	 * Finds the conditions, such as being paralyzed, that make this actor
+	 * fail checks with the given ability without a roll.
+	 *
+	 * @param {string} abilityId - The ability being checked
+	 * @returns {Array<ItemSD>}
+	 */
+	_failingConditions(abilityId) {
+		return abilityId === "dex"
+			? this.getMechanicalEffects("failDexChecks")
+			: [];
+	}
+
+
 	async _getItemFromUuid(uuid) {
 		if (uuid !== "") {
 			return await fromUuid(uuid);
@@ -163,6 +267,42 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/** @inheritdoc */
+	_onUpdate(changed, options, userId) {
+		super._onUpdate(changed, options, userId);
+
+		const newHpValue = foundry.utils.getProperty(
+			changed, "system.attributes.hp.value"
+		);
+		if (newHpValue === undefined) return;
+
+		// Losing HP may break the morale of the NPC's group. This is checked
+		// by the primary GM, whoever changed the HP.
+		if (this.type === "NPC" && shadowdark.utils.isPrimaryGM()) {
+			for (const combat of game.combats.filter(c => c.started)) {
+				combat.checkMorale();
+			}
+		}
+
+		if (userId !== game.user.id) return;
+
+		// Going down breaks the concentration needed to focus on a spell
+		if (newHpValue <= 0 && this.getFocusEffect()) {
+			this.endFocus("down");
+		}
+
+		if (this.type === "Player") {
+			// Dropping to 0 HP starts the death timer, and any healing stops it
+			if (newHpValue <= 0 && !this.isDying() && !this.isDead()) {
+				this.startDying();
+			}
+			else if (newHpValue > 0 && this.isDying()) {
+				this.stopDying();
+			}
+		}
+	}
+
+
 	async _playerRollHP(options={}) {
 		const characterClass = await this.getClass();
 
@@ -225,6 +365,269 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * Renders the chat card content for a contested check from the contest
+	 * data stored on its message.
+	 *
+	 * @param {object} contest - The contest data from the message flags
+	 * @returns {Promise<string>}
+	 */
+	async _renderContestContent(contest) {
+		const {initiator, opponent, winner} = contest;
+		const resolved = !!opponent.renderedHTML;
+
+		let result = "";
+		if (resolved) {
+			result = winner
+				? game.i18n.format("SHADOWDARK.chat.contest.winner", {
+					name: contest[winner].name,
+				})
+				: game.i18n.localize("SHADOWDARK.chat.contest.tie");
+		}
+
+		return renderTemplate(
+			"systems/shadowdark/templates/chat/contest.hbs",
+			{
+				abilities: CONFIG.SHADOWDARK.ABILITIES_LONG,
+				initiator: {
+					...initiator,
+					abilityLabel: CONFIG.SHADOWDARK.ABILITIES_LONG[initiator.ability],
+				},
+				opponent: {
+					...opponent,
+					abilityLabel: CONFIG.SHADOWDARK.ABILITIES_LONG[opponent.ability],
+				},
+				resolved,
+				result,
+				title: game.i18n.format("SHADOWDARK.chat.contest.title", {
+					initiator: initiator.name,
+					opponent: opponent.name,
+				}),
+			}
+		);
+	}
+
+
+	/**
+	 * Rolls one side of a contested check. A side that automatically fails
+	 * the check, for example a paralyzed character rolling DEX, isn't rolled
+	 * and loses the contest instead.
+	 *
+	 * @param {string} abilityId - The ability to roll
+	 * @returns {Promise<object|null>} - The side's result, or null if the
+	 *                                   roll was cancelled
+	 */
+	async _rollContestSide(abilityId) {
+		const modifier = this.abilityModifier(abilityId);
+
+		const failEffects = this._failingConditions(abilityId);
+		if (failEffects.length > 0) {
+			const message = game.i18n.format("SHADOWDARK.chat.condition_fail.message", {
+				conditions: failEffects.map(effect => effect.name).join(", "),
+				name: this.name,
+			});
+
+			return {
+				ability: abilityId,
+				failed: true,
+				modifier,
+				renderedHTML: `<p>${message}</p>`,
+				total: null,
+			};
+		}
+
+		const result = await this.rollAbility(abilityId, {chatMessage: false});
+		if (!result) return null;
+
+		return {
+			ability: abilityId,
+			failed: false,
+			modifier,
+			renderedHTML: result.rolls.main.renderedHTML,
+			total: result.rolls.main.roll.total,
+		};
+	}
+
+
+	/**
+	 * Rolls on the wizard mishap table for the tier of the given spell.
+	 *
+	 * @param {ItemSD} item - The spell that was cast
+	 */
+	async _rollSpellMishap(item) {
+		const uuid = CONFIG.SHADOWDARK.SPELL_MISHAP_TABLE_UUIDS[item.system.tier];
+		const table = uuid ? await fromUuid(uuid) : null;
+		if (!table) return;
+
+		const draw = await table.draw({displayChat: false});
+
+		await table.toMessage(draw.results, {
+			roll: draw.roll,
+			messageData: {
+				// Tagged so that the mishap can be undone by a luck reroll
+				flags: { shadowdark: { spellMishap: item.uuid } },
+				speaker: ChatMessage.getSpeaker({ actor: this }),
+			},
+		});
+	}
+
+
+	/**
+	 * Renders one of the actor's chat card templates, which are built on the
+	 * actor-chat-card partial, and posts it to chat as the actor.
+	 *
+	 * @param {string} template - Path to the card template
+	 * @param {object} data - Data for the template, the actor is added to it
+	 * @param {object} messageData - Any extra data for the chat message
+	 * @returns {Promise<ChatMessage>}
+	 */
+	async _sendActorChatCard(template, data, messageData={}) {
+		const content = await renderTemplate(template, {actor: this, ...data});
+
+		return ChatMessage.create({
+			content,
+			flags: { "core.canPopout": true },
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+			...messageData,
+		});
+	}
+
+
+	async _sendDyingMessage(message, showRecoveryButton=false) {
+		await this._sendActorChatCard(
+			"systems/shadowdark/templates/chat/dying.hbs",
+			{
+				message,
+				showRecoveryButton,
+				title: game.i18n.localize("SHADOWDARK.chat.dying.title"),
+			}
+		);
+	}
+
+
+	async _sendFocusMessage(message, showCheckButton=false) {
+		await this._sendActorChatCard(
+			"systems/shadowdark/templates/chat/focus.hbs",
+			{
+				message,
+				showCheckButton,
+				title: game.i18n.localize("SHADOWDARK.chat.focus.title"),
+			}
+		);
+	}
+
+
+	async _sendLuckMessage(roll) {
+		await this._sendActorChatCard(
+			"systems/shadowdark/templates/chat/luck.hbs",
+			{
+				roll,
+				title: game.i18n.localize("SHADOWDARK.chat.luck.title"),
+				usePulpMode: game.settings.get("shadowdark", "usePulpMode"),
+			}
+		);
+	}
+
+
+	async _sendPenanceMessage(penance, completed=false) {
+		await this._sendActorChatCard(
+			"systems/shadowdark/templates/chat/penance.hbs",
+			{
+				completed,
+				penance,
+				title: game.i18n.localize("SHADOWDARK.chat.penance.title"),
+			}
+		);
+	}
+
+
+	async _sendRestMessage(steps, interrupted) {
+		const completed = [];
+		const skipped = [];
+
+		for (const [step, done] of Object.entries(steps)) {
+			const label = game.i18n.localize(`SHADOWDARK.chat.rest.step.${step}`);
+			if (done) {
+				completed.push(label);
+			}
+			else {
+				skipped.push(label);
+			}
+		}
+
+		await this._sendActorChatCard(
+			"systems/shadowdark/templates/chat/rest.hbs",
+			{
+				completed,
+				interrupted,
+				skipped,
+				title: interrupted
+					? game.i18n.localize("SHADOWDARK.chat.rest.title_interrupted")
+					: game.i18n.localize("SHADOWDARK.chat.rest.title"),
+			}
+		);
+	}
+
+
+	/**
+	 * Undoes the consequences of a natural 1 on a spellcasting check, when
+	 * the roll is replaced by a luck reroll. Any penance owed for the spell
+	 * is dropped, and the mishap rolled for it is removed from the chat.
+	 *
+	 * @param {ItemSD} item - The spell, scroll or wand that was cast
+	 * @param {ChatMessage} message - The chat message of the original roll
+	 */
+	async _undoSpellCriticalFailure(item, message) {
+		if (this.system.penance.some(p => p.itemId === item.id)) {
+			await this.update({
+				"system.penance": this.system.penance.filter(
+					p => p.itemId !== item.id
+				),
+			});
+		}
+
+		const mishaps = game.messages.filter(
+			m => m.getFlag("shadowdark", "spellMishap") === item.uuid
+				&& m.timestamp >= message.timestamp
+				&& m.canUserModify(game.user, "delete")
+		);
+
+		if (mishaps.length > 0) {
+			await ChatMessage.deleteDocuments(mishaps.map(m => m.id));
+		}
+	}
+
+
+	/**
+	 * Uses up one unit of ammunition, keeping count of how much has been
+	 * spent while in combat so that some of it can be recovered afterwards.
+	 *
+	 * @param {ItemSD} ammunition
+	 */
+	async _useAmmunition(ammunition) {
+		await ammunition.update({
+			"system.quantity": ammunition.system.quantity - 1,
+		});
+
+		if (!game.settings.get("shadowdark", "promptAmmunitionRecovery")) return;
+
+		// Only ammunition spent in a fight this actor is part of counts
+		const inCombat = game.combats.some(
+			combat => combat.started
+				&& combat.combatants.some(c => c.actor?.uuid === this.uuid)
+		);
+		if (!inCombat) return;
+
+		const spent = this.getFlag("shadowdark", "ammunitionSpent") ?? {};
+		await this.setFlag("shadowdark", "ammunitionSpent", {
+			...spent,
+			[ammunition.id]: (spent[ammunition.id] ?? 0) + 1,
+		});
+	}
+
+
 	abilityModifier(ability) {
 		if (this.type === "Player") {
 
@@ -275,6 +678,11 @@ export default class ActorSD extends Actor {
 	}
 
 
+	async addPatron(item) {
+		this.update({"system.patron": item.uuid});
+	}
+
+
 	async addToHpBase(hp) {
 		const currentHpBase = this.system.attributes.hp.base;
 		this.update({
@@ -284,17 +692,37 @@ export default class ActorSD extends Actor {
 
 
 	/**
-	 * Applies the given number to the Actor or Token's HP value.
-	 * The multiplier is a convenience feature to apply healing
-	 *  or true multiples of a damage value.
-	 *  * 1 => damage as rolled
-	 *  * 0.5 => half damage (resistance)
-	 *  * -1 => healing
+	 * Counts down the death timer of a dying Player by one round, killing
+	 * them if it has run out.
+	 */
+	async advanceDeathTimer() {
+		if (!this.isDying()) return;
+
+		const roundsRemaining = this.system.dying.roundsRemaining - 1;
+
+		if (roundsRemaining <= 0) {
+			await this.die();
+		}
+		else {
+			await this.update({"system.dying.roundsRemaining": roundsRemaining});
+		}
+	}
+
+
+	/**
+	 * Applies damage to the actor, or healing if the multiplier is negative.
+	 * Damage takes the actor's immunities, resistances and vulnerabilities
+	 * into account.
 	 *
-	 * @param {number} damageAmount
-	 * @param {number} multiplier
+	 * @param {number} damageAmount - The amount rolled
+	 * @param {number} multiplier - Scales the amount, -1 to heal
+	 * @param {Array<string>} damageTraits - What dealt the damage, see
+	 *                                      `CONFIG.SHADOWDARK.DAMAGE_TRAITS`
+	 * @returns {object} - The actor's HP before and after
 	 */
-	async applyDamage(damageAmount, multiplier) {
+	async applyDamage(damageAmount, multiplier, damageTraits=[]) {
+		if (multiplier > 0) multiplier *= this.damageMultiplier(damageTraits);
+
 		const maxHpValue = this.system.attributes.hp.max;
 		const currentHpValue = this.system.attributes.hp.value;
 		const amountToApply = Math.floor(parseInt(damageAmount) * multiplier);
@@ -302,9 +730,14 @@ export default class ActorSD extends Actor {
 		// Ensures that we don't go above Max or below Zero
 		const newHpValue = Math.clamped(currentHpValue - amountToApply, 0, maxHpValue);
 
-		this.update({
+		await this.update({
 			"system.attributes.hp.value": newHpValue,
 		});
+
+		return {
+			hp: newHpValue,
+			previousHp: currentHpValue,
+		};
 	}
 
 
@@ -320,6 +753,23 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * Adds the given amount of XP to the Player.
+	 *
+	 * @param {number} xp - The amount of XP to award
+	 * @returns {boolean} - Whether the Player is now ready to level up
+	 */
+	async awardXP(xp) {
+		if (this.type !== "Player") return false;
+
+		await this.update({
+			"system.level.xp": Math.max(0, this.system.level.xp + xp),
+		});
+
+		return this.isReadyToLevelUp();
+	}
+
+
 	async buildNpcAttackDisplays(itemId) {
 		const item = this.getEmbeddedDocument("Item", itemId);
 
@@ -603,6 +1053,85 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * Spends a night carousing at the given tier, paying its cost, rolling
+	 * on the carousing outcome table and gaining XP. The XP comes from the
+	 * result's `shadowdark.xp` flag if it has one, otherwise from the tier.
+	 *
+	 * @param {object} tier - The carousing tier, with a cost, name, bonus
+	 *                        and XP
+	 * @param {RollTable} table - The carousing outcome table
+	 * @returns {object|false} - The new carousing history entry, or false if
+	 *                           the Player could not go carousing
+	 */
+	async carouse(tier, table) {
+		if (this.type !== "Player") return false;
+
+		if (!table?.results.size) {
+			ui.notifications.error(
+				game.i18n.localize("SHADOWDARK.apps.carousing.error.no_table")
+			);
+			return false;
+		}
+
+		if (!await this.spendCoins(tier.cost)) {
+			ui.notifications.warn(
+				game.i18n.format("SHADOWDARK.carousing.cannot_afford", {
+					cost: tier.cost,
+					name: this.name,
+				})
+			);
+			return false;
+		}
+
+		const roll = await new Roll(
+			`${CONFIG.SHADOWDARK.DEFAULTS.CAROUSING_ROLL} + @bonus`,
+			{bonus: tier.bonus}
+		).evaluate();
+
+		// Totals beyond the end of the table use its last result
+		const maxRange = Math.max(...table.results.map(r => r.range[1]));
+		const [result] = table.getResultsForRoll(Math.min(roll.total, maxRange));
+
+		const text = result?.text ?? "";
+		const xp = parseInt(result?.getFlag("shadowdark", "xp") ?? tier.xp) || 0;
+
+		const entry = {
+			cost: tier.cost,
+			date: new Date().toLocaleDateString(),
+			result: text,
+			roll: roll.total,
+			tier: tier.name,
+			xp,
+		};
+
+		await this.update({
+			"system.carousing": [...this.system.carousing, entry],
+		});
+
+		const readyToLevelUp = await this.awardXP(xp);
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/carousing.hbs",
+			{
+				actor: this,
+				entry,
+				readyToLevelUp,
+			}
+		);
+
+		await ChatMessage.create({
+			content,
+			flags: { "core.canPopout": true },
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+		});
+
+		return entry;
+	}
+
+
 	async castSpell(itemId, options={}) {
 		const item = this.items.get(itemId);
 
@@ -648,7 +1177,13 @@ export default class ActorSD extends Actor {
 		// TODO: push to parts & for set talentBonus as sum of talents affecting
 		// spell rolls
 
-		return item.rollSpell(parts, data, options);
+		const result = await item.rollSpell(parts, data, options);
+
+		if (result?.rolls?.main?.success && !options.focusCheck) {
+			await this.placeSpellArea(item);
+		}
+
+		return result;
 	}
 
 	async castNPCSpell(itemId, options={}) {
@@ -684,33 +1219,249 @@ export default class ActorSD extends Actor {
 	}
 
 
-	async getActiveLightSources() {
-		const items = this.items.filter(
-			item => item.isActiveLight()
-		).sort((a, b) => {
-			const a_name = a.name.toLowerCase();
-			const b_name = b.name.toLowerCase();
-			if (a_name < b_name) {
-				return -1;
-			}
-			if (a_name > b_name) {
-				return 1;
-			}
-			return 0;
+	/**
+	 * Completes the penance owed for a spell so that it can be cast again.
+	 * The sacrifice can optionally be paid for out of the actor's coins.
+	 *
+	 * @param {string} itemId - The id of the Spell that needs penance
+	 * @param {boolean} payCoins - Whether to pay the sacrifice in coins
+	 * @returns {boolean} - False if the penance could not be completed
+	 */
+	async completePenance(itemId, payCoins=false) {
+		const penance = this.system.penance.find(p => p.itemId === itemId);
+		if (!penance) return false;
+
+		if (payCoins && !(await this.spendCoins(penance.cost))) {
+			ui.notifications.warn(
+				game.i18n.format("SHADOWDARK.chat.penance.cannot_afford", {
+					cost: penance.cost,
+					name: this.name,
+				})
+			);
+			return false;
+		}
+
+		await this.update({
+			"system.penance": this.system.penance.filter(p => p.itemId !== itemId),
 		});
 
-		return items;
-	}
+		await this.items.get(itemId)?.update({"system.lost": false});
 
+		await this._sendPenanceMessage(penance, true);
 
-	async getAncestry() {
-		const uuid = this.system.ancestry ?? "";
-		return await this._getItemFromUuid(uuid);
+		return true;
 	}
 
 
-	async getArmorClass() {
-		const dexModifier = this.abilityModifier("dex");
+	/**
+	 * Works out how much of the given damage the actor takes. Immunity means
+	 * no damage, while resistance halves and vulnerability doubles it. An
+	 * actor that is both resistant and vulnerable takes normal damage.
+	 *
+	 * @param {Array<string>} damageTraits - What dealt the damage
+	 * @returns {number} - The damage multiplier
+	 */
+	damageMultiplier(damageTraits=[]) {
+		const defenses = this.system.defenses;
+		if (!defenses) return 1;
+
+		const applies = traits => traits.some(t => damageTraits.includes(t));
+
+		if (applies(defenses.immunities)) return 0;
+
+		const resistant = applies(defenses.resistances);
+		const vulnerable = applies(defenses.vulnerabilities);
+
+		if (resistant && !vulnerable) return 0.5;
+		if (vulnerable && !resistant) return 2;
+		return 1;
+	}
+
+
+	async die() {
+		await this.stopDying();
+
+		await this.toggleStatusEffect(
+			CONFIG.specialStatusEffects.DEFEATED,
+			{ active: true, overlay: true }
+		);
+
+		for (const combatant of game.combat?.combatants ?? []) {
+			if (combatant.actor === this && !combatant.isDefeated) {
+				await combatant.update({defeated: true});
+			}
+		}
+
+		await this._sendDyingMessage(
+			game.i18n.format("SHADOWDARK.chat.dying.died", {name: this.name})
+		);
+	}
+
+
+	/**
+	 * Ends the actor's focus on a spell by removing the focus Effect.
+	 *
+	 * @param {string} reason - Why the focus ended, one of "failed",
+	 *                          "new_focus", "down" or "missing"
+	 */
+	async endFocus(reason) {
+		const effect = this.getFocusEffect();
+		if (!effect) return;
+
+		await effect.delete();
+
+		await this._sendFocusMessage(
+			game.i18n.format(`SHADOWDARK.chat.focus.ended.${reason}`, {
+				name: this.name,
+				spell: effect.getFlag("shadowdark", "focus").spellName,
+			})
+		);
+	}
+
+
+	/**
+	 * Removes an Effect whose duration has run out and lets the table know
+	 * that it has ended. Effects on NPCs are only announced to the GM.
+	 *
+	 * @param {ItemSD} effect
+	 */
+	async expireEffect(effect) {
+		if (this.type === "Player" && effect.system.light?.active) {
+			await this.sheet._toggleLightSource(effect);
+		}
+
+		await effect.delete();
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/effect-ended.hbs",
+			{
+				actor: this,
+				effect,
+				title: game.i18n.localize("SHADOWDARK.chat.effect_ended.title"),
+			}
+		);
+
+		await ChatMessage.create({
+			content,
+			flags: { "core.canPopout": true },
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+			whisper: this.type === "NPC"
+				? ChatMessage.getWhisperRecipients("GM")
+				: [],
+		});
+	}
+
+
+	/**
+	 * Works out the gear slots taken up by each of the actor's physical
+	 * items, other than gems. Free carry is handed out to items in name
+	 * order, the same order the inventory lists them in, and items in a
+	 * container don't get any.
+	 *
+	 * @returns {Map<string, number>} - Slots used, keyed by item id
+	 */
+	gearSlotsByItem() {
+		const slotsByItem = new Map();
+		const freeCarrySeen = {};
+
+		const items = this.items
+			.filter(item => item.system.isPhysical && item.type !== "Gem")
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		for (const item of items) {
+			if (item.getContainer()) {
+				slotsByItem.set(item.id, item.gearSlotsUsed());
+				continue;
+			}
+
+			let freeCarry = item.system.slots.free_carry;
+			if (Object.hasOwn(freeCarrySeen, item.name)) {
+				freeCarry = Math.max(0, freeCarry - freeCarrySeen[item.name]);
+				freeCarrySeen[item.name] += freeCarry;
+			}
+			else {
+				freeCarrySeen[item.name] = freeCarry;
+			}
+
+			slotsByItem.set(
+				item.id,
+				item.gearSlotsUsed() - (freeCarry * item.system.slots.slots_used)
+			);
+		}
+
+		return slotsByItem;
+	}
+
+
+	/**
+	 * Works out how many gear slots are taken up by the actor's carried
+	 * items, treasure, coins and gems. Stashed items don't count, and items
+	 * in a container only count if the container says so.
+	 *
+	 * @returns {number}
+	 */
+	gearSlotsUsed() {
+		let slotsUsed = 0;
+
+		const slotsByItem = this.gearSlotsByItem();
+		for (const [itemId, itemSlots] of slotsByItem) {
+			const item = this.items.get(itemId);
+
+			const container = item.getContainer();
+			if (container) {
+				if (container.system.container.countsContents && !container.system.stashed) {
+					slotsUsed += itemSlots;
+				}
+				continue;
+			}
+
+			if (!item.system.stashed) slotsUsed += itemSlots;
+		}
+
+		const gems = this.items.filter(item => item.type === "Gem").length;
+
+		const coins = this.system.coins;
+		const totalCoins = coins.gp + coins.sp + coins.cp;
+		const freeCoins = shadowdark.defaults.FREE_COIN_CARRY;
+		if (totalCoins > freeCoins) {
+			slotsUsed += Math.ceil((totalCoins - freeCoins) / freeCoins);
+		}
+
+		slotsUsed += Math.ceil(gems / CONFIG.SHADOWDARK.DEFAULTS.GEMS_PER_SLOT);
+
+		return slotsUsed;
+	}
+
+
+	async getActiveLightSources() {
+		const items = this.items.filter(
+			item => item.isActiveLight()
+		).sort((a, b) => {
+			const a_name = a.name.toLowerCase();
+			const b_name = b.name.toLowerCase();
+			if (a_name < b_name) {
+				return -1;
+			}
+			if (a_name > b_name) {
+				return 1;
+			}
+			return 0;
+		});
+
+		return items;
+	}
+
+
+	async getAncestry() {
+		const uuid = this.system.ancestry ?? "";
+		return await this._getItemFromUuid(uuid);
+	}
+
+
+	async getArmorClass() {
+		const dexModifier = this.abilityModifier("dex");
 
 		let baseArmorClass = shadowdark.defaults.BASE_ARMOR_CLASS;
 		baseArmorClass += dexModifier;
@@ -855,8 +1606,45 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * The Effect showing which spell the actor is focusing on, if any.
+	 *
+	 * @returns {ItemSD|undefined}
+	 */
+	getFocusEffect() {
+		return this.items.find(
+			item => item.type === "Effect" && item.getFlag("shadowdark", "focus")
+		);
+	}
+
+
+	/**
+	 * Finds the Effects on the actor, such as conditions, that have one of
+	 * the mechanical effects that are applied automatically.
+	 *
+	 * @param {string} mechanic - A key of the Effect's `system.mechanics`
+	 * @param {string} [rollType] - For disadvantage, a key of
+	 * `CONFIG.SHADOWDARK.CONDITION_ROLL_TYPES`
+	 * @returns {Array<ItemSD>}
+	 */
+	getMechanicalEffects(mechanic, rollType=null) {
+		return this.items.filter(item => {
+			if (item.type !== "Effect") return false;
+
+			const value = item.system.mechanics?.[mechanic];
+			return Array.isArray(value) ? value.includes(rollType) : !!value;
+		});
+	}
+
+
+	async getPatron() {
+		const uuid = this.system.patron ?? "";
+		return await this._getItemFromUuid(uuid);
+	}
+
+
 	getRollData() {
-		if (this.type === "Light") return;
+		if (["Light", "Party"].includes(this.type)) return;
 
 		const rollData = super.getRollData();
 
@@ -877,6 +1665,54 @@ export default class ActorSD extends Actor {
 		return characterClass?.system?.spellcasting?.ability ?? "";
 	}
 
+	/**
+	 * The class whose spells and spellcasting rules this actor uses. This is
+	 * normally the actor's own class, but some classes cast spells from
+	 * another class's list.
+	 *
+	 * @returns {ItemSD|undefined}
+	 */
+	async getSpellcastingClass() {
+		const characterClass = await this.getClass();
+		const spellClass = characterClass?.system.spellcasting.class ?? "";
+
+		if (["", "NONE", "__not_spellcaster__"].includes(spellClass)) {
+			return characterClass;
+		}
+
+		return await fromUuid(spellClass) ?? characterClass;
+	}
+
+
+	/**
+	 * The spellcasting tradition that decides what happens on a critical
+	 * spellcasting failure. A class can set its own, otherwise it comes from
+	 * the class it casts spells as, given by its `spellcasting.class`.
+	 *
+	 * @returns {string} - A key of `CONFIG.SHADOWDARK.SPELLCASTING_TRADITIONS`,
+	 *                     or an empty string if there is none
+	 */
+	async getSpellcastingTradition() {
+		const characterClass = await this.getClass();
+		if (characterClass?.system.spellcasting.tradition) {
+			return characterClass.system.spellcasting.tradition;
+		}
+
+		const spellClass = await this.getSpellcastingClass();
+		if (!spellClass) return "";
+
+		if (spellClass.system.spellcasting.tradition) {
+			return spellClass.system.spellcasting.tradition;
+		}
+
+		const traditions = CONFIG.SHADOWDARK.SPELLCASTING_CLASS_TRADITIONS;
+		const sourceId = spellClass._stats?.compendiumSource
+			?? spellClass.flags?.core?.sourceId;
+
+		return traditions[spellClass.uuid] ?? traditions[sourceId] ?? "";
+	}
+
+
 	async getTitle() {
 		const characterClass = await this.getClass();
 
@@ -908,6 +1744,21 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * Whether the Player has a luck token to spend. In pulp mode this is
+	 * any remaining tokens, otherwise the single token they may hold.
+	 *
+	 * @returns {boolean}
+	 */
+	hasLuck() {
+		if (this.type !== "Player") return false;
+
+		return game.settings.get("shadowdark", "usePulpMode")
+			? this.system.luck.remaining > 0
+			: this.system.luck.available;
+	}
+
+
 	async hasNoActiveLightSources() {
 		return this.getActiveLightSources.length <= 0;
 	}
@@ -921,6 +1772,23 @@ export default class ActorSD extends Actor {
 	}
 
 
+	isDead() {
+		return this.statuses.has(CONFIG.specialStatusEffects.DEFEATED);
+	}
+
+
+	isDying() {
+		return this.type === "Player" && this.system.dying?.active;
+	}
+
+
+	isReadyToLevelUp() {
+		if (this.type !== "Player") return false;
+
+		return this.system.level.xp >= this.xpForNextLevel();
+	}
+
+
 	async isSpellcaster() {
 		const characterClass = await this.getClass();
 
@@ -985,6 +1853,30 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * Puts one of the actor's items into a container, or takes it back out
+	 * if no container is given. Items taken out are left where the
+	 * container is.
+	 *
+	 * @param {ItemSD} item
+	 * @param {ItemSD|null} container
+	 * @returns {Promise<ItemSD|undefined>}
+	 */
+	async moveToContainer(item, container=null) {
+		if (container && !container.canContain(item)) return;
+
+		const stashed = container
+			? false
+			: item.getContainer()?.system.stashed ?? item.system.stashed;
+
+		return item.update({
+			"system.containerId": container?.id ?? "",
+			"system.equipped": false,
+			"system.stashed": stashed,
+		});
+	}
+
+
 	numGearSlots() {
 		let gearSlots = shadowdark.defaults.GEAR_SLOTS;
 
@@ -1003,33 +1895,440 @@ export default class ActorSD extends Actor {
 			// Add effects that modify gearslots
 			gearSlots += parseInt(this.system.bonuses.gearSlots, 10);
 		}
+		else if (this.type === "Party") {
+			gearSlots = this.system.gearSlots;
+		}
 
 		return gearSlots;
 	}
 
 
+	/**
+	 * The member actors of a Party, in marching order.
+	 *
+	 * @returns {Array<ActorSD>}
+	 */
+	partyMembers() {
+		if (this.type !== "Party") return [];
+
+		return this.system.members
+			.map(actorId => game.actors.get(actorId))
+			.filter(actor => actor);
+	}
+
+
+	/**
+	 * Offers to place the area of a spell that has just been cast on the
+	 * canvas, targeting every token inside it. The targets are listed on a
+	 * chat card where the spell's damage and effect can be applied to them.
+	 *
+	 * @param {ItemSD} item - The Spell, Scroll or Wand that was cast
+	 * @returns {Promise<Array<Token>>} - The tokens in the area
+	 */
+	async placeSpellArea(item) {
+		if (!canvas.ready || !item.system.area?.type) return [];
+
+		const place = await Dialog.confirm({
+			title: game.i18n.localize("SHADOWDARK.dialog.spell_area.title"),
+			content: `<p>${game.i18n.format("SHADOWDARK.dialog.spell_area.prompt", {
+				spell: item.name,
+			})}</p>`,
+			defaultYes: true,
+		});
+		if (!place) return [];
+
+		const preview = shadowdark.placeables.SpellTemplateSD.fromSpell(
+			item,
+			this.getCanvasToken()
+		);
+		const template = await preview?.drawPreview();
+		if (!template) return [];
+
+		const tokens = preview.getContainedTokens();
+
+		for (const token of canvas.tokens.placeables) {
+			token.setTarget(tokens.includes(token), {
+				releaseOthers: false,
+				groupSelection: true,
+			});
+		}
+		game.user.broadcastActivity({targets: game.user.targets.ids});
+
+		const {damage, effect} = item.system.area;
+
+		const damageRoll = damage
+			? await new Roll(damage, this.getRollData()).evaluate()
+			: null;
+		const effectItem = effect ? await fromUuid(effect) : null;
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/spell-area.hbs",
+			{
+				actor: this,
+				damage: damageRoll
+					? await damageRoll.render()
+					: null,
+				effect: effectItem?.type === "Effect" ? effectItem : null,
+				item,
+				targets: tokens.map(token => ({
+					img: token.document.texture.src,
+					name: token.name,
+					uuid: token.document.uuid,
+				})),
+				title: game.i18n.format("SHADOWDARK.chat.spell_area.title", {
+					spell: item.name,
+				}),
+			}
+		);
+
+		const chatData = {
+			content,
+			flags: {
+				"core.canPopout": true,
+				"shadowdark": {
+					damageTraits: await item.damageTraits(),
+					effect: effectItem?.type === "Effect" ? effectItem.uuid : null,
+				},
+			},
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+		};
+
+		if (damageRoll) {
+			chatData.flags.isRoll = true;
+			chatData.flags.rolls = {
+				primaryDamage: {
+					roll: damageRoll,
+				},
+			};
+
+			if (game.dice3d) {
+				await game.dice3d.showForRoll(damageRoll, game.user, true);
+			}
+			else {
+				chatData.sound = CONFIG.sounds.dice;
+			}
+		}
+
+		await ChatMessage.create(chatData);
+
+		return tokens;
+	}
+
+
 	/** @inheritDoc */
 	prepareData() {
 		super.prepareData();
 
-		if (this.type === "Player") {
-			this._preparePlayerData();
+		if (this.type === "Player") {
+			this._preparePlayerData();
+
+			if (canvas.ready && game.user.character === this) {
+				game.shadowdark.effectPanel.refresh();
+			}
+		}
+		else if (this.type === "NPC") {
+			this._prepareNPCData();
+		}
+	}
+
+
+	/** @inheritDoc */
+	prepareDerivedData() {
+		// if (this.type === "Player") {
+		// 	this.updateArmorClass();
+		// }
+	}
+
+
+	/**
+	 * Offers to recover half of the ammunition spent during the combat that
+	 * just ended. Anything not recovered before the next combat ends is lost.
+	 */
+	async promptAmmunitionRecovery() {
+		const spent = this.getFlag("shadowdark", "ammunitionSpent");
+		if (!spent) return;
+
+		const ammunition = Object.entries(spent)
+			.map(([itemId, count]) => ({
+				item: this.items.get(itemId),
+				recoverable: Math.floor(count / 2),
+				spent: count,
+			}))
+			.filter(a => a.item && a.recoverable > 0);
+
+		await this.update({
+			"flags.shadowdark.-=ammunitionSpent": null,
+			"flags.shadowdark.ammunitionRecoverable": Object.fromEntries(
+				ammunition.map(a => [a.item.id, a.recoverable])
+			),
+		});
+
+		if (ammunition.length === 0) return;
+
+		await this._sendActorChatCard(
+			"systems/shadowdark/templates/chat/ammunition-recovery.hbs",
+			{
+				ammunition,
+				title: game.i18n.localize("SHADOWDARK.chat.ammunition.title"),
+			}
+		);
+	}
+
+
+	async promptDeathRecovery() {
+		if (!this.isDying()) return;
+
+		await this._sendDyingMessage(
+			game.i18n.format(
+				"SHADOWDARK.chat.dying.recovery_prompt",
+				{
+					name: this.name,
+					rounds: this.system.dying.roundsRemaining,
+				}
+			),
+			true
+		);
+	}
+
+
+	async promptFocusCheck() {
+		const effect = this.getFocusEffect();
+		if (!effect) return;
+
+		await this._sendFocusMessage(
+			game.i18n.format("SHADOWDARK.chat.focus.check_prompt", {
+				name: this.name,
+				spell: effect.getFlag("shadowdark", "focus").spellName,
+			}),
+			true
+		);
+	}
+
+
+	/**
+	 * Returns the recoverable half of the ammunition spent in the last
+	 * combat to the actor's inventory.
+	 */
+	async recoverAmmunition() {
+		const recoverable = this.getFlag("shadowdark", "ammunitionRecoverable");
+		if (!recoverable) return;
+
+		const updates = [];
+		const recovered = [];
+		for (const [itemId, count] of Object.entries(recoverable)) {
+			const item = this.items.get(itemId);
+			if (!item) continue;
+
+			updates.push({
+				"_id": itemId,
+				"system.quantity": item.system.quantity + count,
+			});
+			recovered.push(`${count} ${item.name}`);
+		}
+
+		await this.updateEmbeddedDocuments("Item", updates);
+		await this.unsetFlag("shadowdark", "ammunitionRecoverable");
+
+		if (recovered.length > 0) {
+			ui.notifications.info(
+				game.i18n.format("SHADOWDARK.chat.ammunition.recovered", {
+					ammunition: recovered.join(", "),
+					name: this.name,
+				})
+			);
+		}
+	}
+
+
+	/**
+	 * Spends a luck token to reroll the roll from the given chat message.
+	 * Each roll can only have luck spent on it once, including the reroll
+	 * itself.
+	 *
+	 * @param {ChatMessage} message - The message of the roll to reroll
+	 * @returns {Promise<object|null>} - The result of the reroll
+	 */
+	async rerollWithLuck(message) {
+		const reroll = message.getFlag("shadowdark", "reroll");
+		if (!reroll || message.getFlag("shadowdark", "luckSpent")) return null;
+
+		if (!this.hasLuck()) {
+			ui.notifications.warn(
+				game.i18n.format("SHADOWDARK.chat.luck.error.no_luck", {
+					name: this.name,
+				})
+			);
+			return null;
+		}
+
+		const item = reroll.documents.item
+			? await fromUuid(reroll.documents.item)
+			: null;
+
+		// The item may have been used up by the original roll
+		if (reroll.documents.item && !item) {
+			ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.chat.luck.error.item_missing")
+			);
+			return null;
+		}
+
+		// Mark the roll first so it can't have luck spent on it twice
+		await message.setFlag("shadowdark", "luckSpent", true);
+		await this.spendLuck();
+
+		// Whether the spell is lost is now down to the reroll
+		if (item?.isSpell() && item.system.lost) {
+			await item.update({"system.lost": false});
+		}
+
+		if (item?.isSpell() && message.flags.rolls?.main?.critical === "failure") {
+			await this._undoSpellCriticalFailure(item, message);
+		}
+
+		await this._sendLuckMessage(message.flavor ?? reroll.options.title ?? "");
+
+		const result = await CONFIG.DiceSD.Reroll(reroll, {
+			luckReroll: true,
+			speaker: message.speaker,
+		});
+
+		if (item?.type === "Wand" && result?.rolls.main.critical === "failure") {
+			await this.deleteEmbeddedDocuments("Item", [item.id]);
+		}
+
+		return result;
+	}
+
+
+	/**
+	 * Works out the winner of a contested check once the opponent has
+	 * rolled, breaking ties with the contestTieRule setting, and updates
+	 * the contest chat card with the result.
+	 *
+	 * @param {ChatMessage} message - The contest chat message
+	 * @param {object} response - The opponent's roll
+	 */
+	async resolveContest(message, response) {
+		const contest = foundry.utils.deepClone(
+			message.getFlag("shadowdark", "contest")
+		);
+		if (!contest || contest.opponent.renderedHTML) return;
+
+		Object.assign(contest.opponent, response);
+
+		const {initiator, opponent} = contest;
+		if (initiator.failed || opponent.failed) {
+			// A side that failed automatically loses, unless both did
+			if (initiator.failed !== opponent.failed) {
+				contest.winner = initiator.failed ? "opponent" : "initiator";
+			}
+		}
+		else if (initiator.total !== opponent.total) {
+			contest.winner = initiator.total > opponent.total
+				? "initiator"
+				: "opponent";
+		}
+		else {
+			const tieRule = game.settings.get("shadowdark", "contestTieRule");
+
+			if (tieRule === "initiator" || tieRule === "opponent") {
+				contest.winner = tieRule;
+			}
+			else if (tieRule === "modifier" && initiator.modifier !== opponent.modifier) {
+				contest.winner = initiator.modifier > opponent.modifier
+					? "initiator"
+					: "opponent";
+			}
+		}
+
+		await message.update({
+			"content": await this._renderContestContent(contest),
+			"flags.shadowdark.contest": contest,
+		});
+	}
+
+
+	/**
+	 * Rest for the night, consuming a ration to regain all HP, recover lost
+	 * spells and abilities, and reset any limited uses.
+	 *
+	 * @param {object} options - Set `interrupted` to true if the rest was
+	 *                           interrupted, in which case the ration is still
+	 *                           eaten but no other benefits are gained.
+	 * @returns {object} - The rest steps and whether each one happened
+	 */
+	async rest(options={}) {
+		if (this.type !== "Player") return;
+
+		const steps = {
+			ration: false,
+			hp: false,
+			spells: false,
+			abilities: false,
+			uses: false,
+		};
+
+		const ration = this.items.find(
+			item => item.type === "Basic"
+				&& item.name.slugify().startsWith("ration")
+				&& item.system.quantity > 0
+		);
+
+		if (ration) {
+			await this.updateEmbeddedDocuments("Item", [{
+				"_id": ration.id,
+				"system.quantity": ration.system.quantity - 1,
+			}]);
+			steps.ration = true;
+		}
+		else {
+			ui.notifications.warn(
+				game.i18n.format("SHADOWDARK.chat.rest.no_ration", {name: this.name})
+			);
+		}
 
-			if (canvas.ready && game.user.character === this) {
-				game.shadowdark.effectPanel.refresh();
+		// Without a ration the rest gives no benefits
+		const interrupted = !ration || (options.interrupted ?? false);
+
+		if (!interrupted) {
+			await this.update({
+				"system.attributes.hp.value": this.system.attributes.hp.max,
+			});
+			steps.hp = true;
+
+			// Spells lost to a deity's displeasure need penance, not rest
+			const penanceSpells = this.system.penance.map(p => p.itemId);
+
+			const itemUpdates = [];
+			for (const item of this.items) {
+				if (
+					item.type === "Spell"
+					&& item.system.lost
+					&& !penanceSpells.includes(item.id)
+				) {
+					itemUpdates.push({"_id": item.id, "system.lost": false});
+				}
+				else if (item.type === "Class Ability") {
+					const update = {"_id": item.id, "system.lost": false};
+					if (item.system.limitedUses) {
+						update["system.uses.available"] = item.system.uses.max;
+					}
+					itemUpdates.push(update);
+				}
 			}
+			await this.updateEmbeddedDocuments("Item", itemUpdates);
+
+			steps.spells = true;
+			steps.abilities = true;
+			steps.uses = true;
 		}
-		else if (this.type === "NPC") {
-			this._prepareNPCData();
-		}
-	}
 
+		await this._sendRestMessage(steps, interrupted);
 
-	/** @inheritDoc */
-	prepareDerivedData() {
-		// if (this.type === "Player") {
-		// 	this.updateArmorClass();
-		// }
+		return steps;
 	}
 
 
@@ -1042,10 +2341,27 @@ export default class ActorSD extends Actor {
 			rollType: "ability",
 			abilityBonus,
 			ability,
+			abilityId,
 			actor: this,
 		};
 
 		options.title = game.i18n.localize(`SHADOWDARK.dialog.ability_check.${abilityId}`);
+
+		const failEffects = this._failingConditions(abilityId);
+		if (failEffects.length > 0) {
+			await this._sendActorChatCard(
+				"systems/shadowdark/templates/chat/condition-fail.hbs",
+				{
+					message: game.i18n.format("SHADOWDARK.chat.condition_fail.message", {
+						conditions: failEffects.map(effect => effect.name).join(", "),
+						name: this.name,
+					}),
+					title: options.title,
+				}
+			);
+			return null;
+		}
+
 		options.flavor = options.title;
 		options.speaker = ChatMessage.getSpeaker({ actor: this });
 		options.dialogTemplate = "systems/shadowdark/templates/dialog/roll-ability-check-dialog.hbs";
@@ -1152,7 +2468,203 @@ export default class ActorSD extends Actor {
 			if (data.weaponMasteryBonus) data.damageParts.push("@weaponMasteryBonus");
 		}
 
-		return item.rollItem(parts, data, options);
+		this._checkAttackRange(item, data.attackType, options);
+
+		// Ranged weapons bound to ammunition use up one unit per attack
+		const usesAmmunition = data.attackType === "ranged"
+			&& !!item.system.ammunition;
+		const ammunition = usesAmmunition
+			? this.items.get(item.system.ammunition)
+			: null;
+
+		if (usesAmmunition) {
+			if (!ammunition || ammunition.system.quantity <= 0) {
+				ui.notifications.warn(
+					game.i18n.format("SHADOWDARK.item.weapon.ammunition.error.empty", {
+						weapon: item.name,
+					})
+				);
+				return null;
+			}
+
+			data.ammunition = {
+				name: ammunition.name,
+				remaining: ammunition.system.quantity - 1,
+			};
+		}
+
+		const result = await item.rollItem(parts, data, options);
+
+		if (result && ammunition) await this._useAmmunition(ammunition);
+
+		return result;
+	}
+
+
+	/**
+	 * Rolls every attack in one of the NPC's attack routines, such as
+	 * "2 claw and 1 bite", and gathers the results on a single chat card.
+	 * Each attack is checked against the attacker's targets separately.
+	 *
+	 * @param {number} index - The routine's index in `system.attackRoutines`
+	 * @returns {Promise<Array<object>>} - The result of each attack
+	 */
+	async rollAttackRoutine(index) {
+		const routine = this.system.attackRoutines?.[index];
+		if (!routine) return [];
+
+		const attacks = [];
+		for (const {itemId, num} of routine.attacks) {
+			const item = this.items.get(itemId);
+			if (item?.type !== "NPC Attack" || item.system.attackType === "special") {
+				continue;
+			}
+
+			for (let i = 0; i < num; i++) {
+				const result = await this.rollAttack(itemId, {
+					chatMessage: false,
+					fastForward: true,
+				});
+
+				attacks.push({
+					critical: result.rolls.main.critical,
+					item,
+					rolls: result.rolls,
+					targets: result.targets ?? [],
+				});
+			}
+		}
+
+		if (attacks.length === 0) return attacks;
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/chat/attack-routine.hbs",
+			{
+				actor: this,
+				attacks,
+				title: routine.name,
+			}
+		);
+
+		// Each attack keeps the traits of its own damage, as the attacks in
+		// a routine can come from different items
+		const attackFlags = [];
+		for (const attack of attacks) {
+			attackFlags.push({
+				...attack.rolls,
+				damageTraits: await attack.item.damageTraits(),
+			});
+		}
+
+		const chatData = {
+			content,
+			flags: {
+				"attacks": attackFlags,
+				"core.canPopout": true,
+			},
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+		};
+
+		if (!game.dice3d) chatData.sound = CONFIG.sounds.dice;
+
+		ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+		await ChatMessage.create(chatData);
+
+		return attacks;
+	}
+
+
+	/**
+	 * Rolls this actor's response to a contested check. If the current user
+	 * can't update the contest message, the result is sent to the GM to
+	 * resolve.
+	 *
+	 * @param {ChatMessage} message - The contest chat message
+	 * @param {string} abilityId - The ability to roll
+	 */
+	async rollContest(message, abilityId) {
+		const contest = message.getFlag("shadowdark", "contest");
+		if (!contest || contest.opponent.renderedHTML) return;
+
+		const response = await this._rollContestSide(abilityId);
+		if (!response) return;
+
+		if (message.canUserModify(game.user, "update")) {
+			return this.resolveContest(message, response);
+		}
+
+		game.socket.emit("system.shadowdark", {
+			type: "resolveContest",
+			data: {
+				actorUuid: this.uuid,
+				messageId: message.id,
+				response,
+			},
+		});
+	}
+
+
+	async rollDeathRecovery(options={}) {
+		if (!this.isDying()) return;
+
+		const data = {
+			rollType: "deathRecovery",
+			actor: this,
+		};
+
+		options.fastForward = true;
+		options.target = 20;
+		options.title = game.i18n.localize("SHADOWDARK.chat.dying.recovery_roll");
+		options.flavor = options.title;
+		options.speaker = ChatMessage.getSpeaker({ actor: this });
+		options.chatCardTemplate = "systems/shadowdark/templates/chat/ability-card.hbs";
+
+		const result = await CONFIG.DiceSD.RollDialog(["1d20"], data, options);
+
+		// Only a natural 20 gets a dying character back on their feet
+		if (result?.rolls.main.roll.dice[0].total === 20) {
+			await this.update({"system.attributes.hp.value": 1});
+
+			await this._sendDyingMessage(
+				game.i18n.format("SHADOWDARK.chat.dying.recovered", {name: this.name})
+			);
+		}
+
+		return result;
+	}
+
+
+	/**
+	 * Rolls the spellcasting check needed each turn to keep focusing on a
+	 * spell. The focus ends if the check fails.
+	 *
+	 * @param {object} options - Options passed on to the spellcasting roll
+	 * @returns {Promise<object>}
+	 */
+	async rollFocusCheck(options={}) {
+		const effect = this.getFocusEffect();
+		if (!effect) return;
+
+		const itemId = effect.getFlag("shadowdark", "focus").itemId;
+		const item = this.items.get(itemId);
+		if (!item) return this.endFocus("missing");
+
+		options.focusCheck = true;
+		options.flavor = game.i18n.format("SHADOWDARK.chat.focus.check_title", {
+			name: item.name,
+		});
+
+		const result = this.type === "NPC"
+			? await this.castNPCSpell(itemId, options)
+			: await this.castSpell(itemId, options);
+
+		if (result && !result.rolls.main.success) {
+			await this.endFocus("failed");
+		}
+
+		return result;
 	}
 
 
@@ -1253,6 +2765,283 @@ export default class ActorSD extends Actor {
 	}
 
 
+	/**
+	 * A natural 1 on a spellcasting check has further consequences depending
+	 * on the caster's spellcasting tradition. Arcane casters
+	 * roll on the wizard mishap table, while divine casters must do penance
+	 * before they can cast the spell again.
+	 *
+	 * @param {ItemSD} item - The spell, scroll or wand that was cast
+	 */
+	async spellCriticalFailure(item) {
+		if (this.type !== "Player") return;
+
+		switch (await this.getSpellcastingTradition()) {
+			case "arcane":
+				return this._rollSpellMishap(item);
+			case "divine":
+				if (item.type === "Spell") return this.startPenance(item);
+		}
+	}
+
+
+	/**
+	 * Pays the given cost out of the Player's coins, breaking larger coins
+	 * into change if there aren't enough gold pieces.
+	 *
+	 * @param {number} cost - The cost in gp
+	 * @returns {boolean} - False if the Player cannot afford the cost
+	 */
+	async spendCoins(cost) {
+		const coins = this.system.coins;
+
+		if (coins.gp >= cost) {
+			await this.update({"system.coins.gp": coins.gp - cost});
+			return true;
+		}
+
+		let remaining = (coins.gp * 100) + (coins.sp * 10) + coins.cp - (cost * 100);
+		if (remaining < 0) return false;
+
+		const gp = Math.floor(remaining / 100);
+		remaining -= gp * 100;
+		const sp = Math.floor(remaining / 10);
+		const cp = remaining - (sp * 10);
+
+		await this.update({
+			"system.coins.gp": gp,
+			"system.coins.sp": sp,
+			"system.coins.cp": cp,
+		});
+
+		return true;
+	}
+
+
+	/**
+	 * Uses up one of the Player's luck tokens.
+	 *
+	 * @returns {boolean} - False if the Player has no luck to spend
+	 */
+	async spendLuck() {
+		if (!this.hasLuck()) return false;
+
+		if (game.settings.get("shadowdark", "usePulpMode")) {
+			await this.update({
+				"system.luck.remaining": this.system.luck.remaining - 1,
+			});
+		}
+		else {
+			await this.update({"system.luck.available": false});
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Starts a contested check against one of the user's targeted tokens.
+	 * The initiator rolls straight away and the chat card waits for the
+	 * opponent's owner, or the GM for NPCs, to roll their response.
+	 *
+	 * @param {string|null} abilityId - The ability to preselect
+	 */
+	async startContest(abilityId=null) {
+		const targets = [...game.user.targets].filter(
+			token => token.actor && token.actor !== this
+		);
+
+		if (targets.length === 0) {
+			return ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.notify.contest.no_target")
+			);
+		}
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/dialog/start-contest.hbs",
+			{
+				abilities: CONFIG.SHADOWDARK.ABILITIES_LONG,
+				ability: abilityId,
+				opponents: Object.fromEntries(
+					targets.map(token => [token.id, token.name])
+				),
+			}
+		);
+
+		const choice = await Dialog.wait({
+			title: game.i18n.localize("SHADOWDARK.dialog.contest.title"),
+			content,
+			buttons: {
+				start: {
+					icon: "<i class=\"fas fa-people-arrows\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.contest.start"),
+					callback: html => ({
+						ability: html.find("#contest-ability").val(),
+						tokenId: html.find("#contest-opponent").val(),
+					}),
+				},
+				cancel: {
+					icon: "<i class=\"fa fa-times\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.general.cancel"),
+					callback: () => false,
+				},
+			},
+			default: "start",
+			close: () => false,
+		});
+
+		if (!choice) return;
+
+		const token = targets.find(t => t.id === choice.tokenId);
+		if (!token) return;
+
+		const side = await this._rollContestSide(choice.ability);
+		if (!side) return;
+
+		const contest = {
+			initiator: {
+				...side,
+				img: this.img,
+				name: this.name,
+				uuid: this.uuid,
+			},
+			opponent: {
+				img: token.actor.img,
+				name: token.name,
+				uuid: token.actor.uuid,
+			},
+			winner: null,
+		};
+
+		await ChatMessage.create({
+			content: await this._renderContestContent(contest),
+			flags: {
+				"core.canPopout": true,
+				"shadowdark": { contest },
+			},
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			type: shadowdark.utils.getMessageStyles().OTHER,
+			user: game.user.id,
+		});
+	}
+
+
+	/**
+	 * Rolls the death timer for a Player who has dropped to 0 HP and marks
+	 * them as dying with a condition shown on their token and in the
+	 * effect panel.
+	 */
+	async startDying() {
+		const roll = await new Roll(
+			"max(1, 1d4 + @conBonus)",
+			{ conBonus: this.abilityModifier("con") }
+		).evaluate();
+
+		await roll.toMessage({
+			flavor: game.i18n.localize("SHADOWDARK.chat.dying.death_timer"),
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+		});
+
+		await this.update({
+			"system.dying.active": true,
+			"system.dying.roundsRemaining": roll.total,
+		});
+
+		await this._createMarkerEffect(
+			game.i18n.localize("SHADOWDARK.item.effect.dying"),
+			"icons/svg/unconscious.svg",
+			{ dying: true },
+			{
+				category: "condition",
+				duration: {
+					type: "unlimited",
+					value: -1,
+				},
+			}
+		);
+
+		await this._sendDyingMessage(
+			game.i18n.format(
+				"SHADOWDARK.chat.dying.started",
+				{
+					name: this.name,
+					rounds: roll.total,
+				}
+			)
+		);
+	}
+
+
+	/**
+	 * Starts the actor focusing on a spell, adding an Effect linked to the
+	 * spell. Focusing on a new spell ends any existing focus.
+	 *
+	 * @param {ItemSD} item - The focus spell that was cast
+	 */
+	async startFocus(item) {
+		await this.endFocus("new_focus");
+
+		await this._createMarkerEffect(
+			game.i18n.format("SHADOWDARK.item.effect.focus", {
+				spell: item.name,
+			}),
+			item.img,
+			{
+				focus: {
+					itemId: item.id,
+					spellName: item.name,
+				},
+			},
+			{
+				category: "effect",
+				duration: {
+					type: "focus",
+					value: -1,
+				},
+			}
+		);
+	}
+
+
+	/**
+	 * Records the penance a divine caster owes for a spell. The spell can't
+	 * be regained by resting until the penance is complete.
+	 *
+	 * @param {ItemSD} item - The Spell that needs penance
+	 */
+	async startPenance(item) {
+		if (this.system.penance.some(p => p.itemId === item.id)) return;
+
+		const tier = item.system.tier;
+		const penance = {
+			cost: CONFIG.SHADOWDARK.PENANCE_COSTS[tier] ?? 0,
+			itemId: item.id,
+			name: item.name,
+			tier,
+		};
+
+		await this.update({"system.penance": [...this.system.penance, penance]});
+		await this._sendPenanceMessage(penance);
+	}
+
+
+	async stopDying() {
+		await this.update({
+			"system.dying.active": false,
+			"system.dying.roundsRemaining": 0,
+		});
+
+		const dyingEffects = this.items.filter(
+			item => item.getFlag("shadowdark", "dying")
+		);
+
+		await this.deleteEmbeddedDocuments(
+			"Item",
+			dyingEffects.map(item => item.id)
+		);
+	}
+
+
 	async toggleLight(active, itemId) {
 		if (active) {
 			await this.turnLightOn(itemId);
@@ -1288,6 +3077,62 @@ export default class ActorSD extends Actor {
 		await this.changeLightSettings(lightData);
 	}
 
+	/**
+	 * Adds or removes the Overloaded effect depending on whether the actor
+	 * is carrying more than their gear slots allow. Only applies when the
+	 * encumbrance rule is enabled.
+	 *
+	 * @param {boolean} refresh - Recreate an existing effect, so that it
+	 * picks up changes to the encumbrance settings
+	 */
+	async updateOverloaded(refresh=false) {
+		if (this.type !== "Player") return;
+
+		const overloaded = game.settings.get("shadowdark", "useEncumbrance")
+			&& this.gearSlotsUsed() > this.numGearSlots();
+
+		const effects = this.items.filter(
+			item => item.getFlag("shadowdark", "overloaded")
+		);
+
+		if (effects.length > 0) {
+			if (overloaded && !refresh) return;
+
+			await this.deleteEmbeddedDocuments(
+				"Item",
+				effects.map(item => item.id)
+			);
+		}
+
+		if (!overloaded) return;
+
+		const disadvantage = game.settings.get(
+			"shadowdark", "overloadedDisadvantage"
+		);
+		const moveLimit = game.settings.get("shadowdark", "overloadedMove");
+
+		await this._createMarkerEffect(
+			game.i18n.localize("SHADOWDARK.item.effect.overloaded"),
+			"icons/svg/downgrade.svg",
+			{ overloaded: true },
+			{
+				category: "condition",
+				description: game.i18n.localize(
+					"SHADOWDARK.item.effect.overloaded_description"
+				),
+				duration: {
+					type: "unlimited",
+					value: -1,
+				},
+				mechanics: {
+					disadvantageAbilities: CONFIG.SHADOWDARK.OVERLOADED_ABILITIES[disadvantage],
+					moveLimit: moveLimit === "none" ? "" : moveLimit,
+				},
+			}
+		);
+	}
+
+
 	async useAbility(itemId, options={}) {
 		const item = this.items.get(itemId);
 		const abilityDescription = await TextEditor.enrichHTML(
@@ -1439,6 +3284,11 @@ export default class ActorSD extends Actor {
 	}
 
 
+	xpForNextLevel() {
+		return this.system.level.value * 10;
+	}
+
+
 	async yourLightExpired(itemId) {
 		this.turnLightOff(itemId);
 
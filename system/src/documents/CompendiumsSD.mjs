@@ -23,7 +23,9 @@ export default class CompendiumsSD {
 		for (let pack of game.packs) {
 			if (pack.metadata.type !== type) continue;
 
-			let documents = await pack.getIndex({fields: ["system"]});
+			let documents = await pack.getIndex({
+				fields: ["system", "flags.shadowdark"],
+			});
 
 			// filter by subtype
 			if (subtype !== null) {
@@ -194,6 +196,23 @@ export default class CompendiumsSD {
 		return CompendiumsSD._documents("Item", "NPC Features", filterSources);
 	}
 
+	static async patronBoonTables(filterSources=true) {
+		const documents = await CompendiumsSD._documents(
+			"RollTable", null, filterSources
+		);
+
+		return this._collectionFromArray(
+			// Boon tables are marked with a flag rather than found by name
+			documents.filter(
+				document => document.flags?.shadowdark?.patronBoons
+			)
+		);
+	}
+
+	static async patrons(filterSources=true) {
+		return CompendiumsSD._documents("Item", "Patron", filterSources);
+	}
+
 	static async potions(filterSources=true) {
 		return CompendiumsSD._documents("Item", "Potion", filterSources);
 	}
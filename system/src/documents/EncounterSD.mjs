@@ -1,5 +1,217 @@
 export default class EncounterSD extends Combat {
 
+	/**
+	 * Prompts the GM for any morale checks that are due, see checkMorale
+	 */
+	async _checkMorale() {
+		const morale = foundry.utils.deepClone(
+			this.getFlag("shadowdark", "morale") ?? {}
+		);
+
+		for (const [actorId, members] of Object.entries(this._npcGroups())) {
+			const actor = members[0].actor;
+			if (actor.system.fearless) continue;
+
+			// Keep track of the starting size of each group, including any
+			// reinforcements that join later
+			const maxHp = members.reduce(
+				(total, c) => total + c.actor.system.attributes.hp.max, 0
+			);
+			const group = morale[actorId] ??= {
+				size: 0,
+				hp: 0,
+				halfChecked: false,
+				leaderChecked: false,
+			};
+			group.size = Math.max(group.size, members.length);
+			group.hp = Math.max(group.hp, maxHp);
+
+			const remaining = members.filter(c => !this._isCombatantDown(c));
+			if (remaining.length === 0) continue;
+
+			const hp = remaining.reduce(
+				(total, c) => total + c.actor.system.attributes.hp.value, 0
+			);
+
+			const reasons = [];
+			if (!group.halfChecked) {
+				if (remaining.length * 2 <= group.size) {
+					reasons.push("half_members");
+				}
+				else if (hp * 2 <= group.hp) {
+					reasons.push("half_hp");
+				}
+				if (reasons.length > 0) group.halfChecked = true;
+			}
+
+			const leaderDown = members.some(
+				c => c.getFlag("shadowdark", "leader") && this._isCombatantDown(c)
+			);
+			if (!group.leaderChecked && leaderDown) {
+				reasons.push("leader");
+				group.leaderChecked = true;
+			}
+
+			for (const reason of reasons) {
+				await this._sendMoraleMessage(
+					actor,
+					game.i18n.format(`SHADOWDARK.chat.morale.${reason}`, {
+						name: actor.name,
+					}),
+					true
+				);
+			}
+		}
+
+		await this.setFlag("shadowdark", "morale", morale);
+	}
+
+	/**
+	 * Ends any round or turn Effects on the combatants whose time has run
+	 * out by the start of the current turn
+	 */
+	async _expireEffects() {
+		const actors = new Set(
+			this.combatants.map(c => c.actor).filter(a => a)
+		);
+
+		for (const actor of actors) {
+			const expired = actor.items.filter(
+				i => i.tracksCombat(this) && i.combatRemainingDuration(this).expired
+			);
+
+			for (const effect of expired) {
+				await actor.expireEffect(effect);
+			}
+		}
+	}
+
+	/**
+	 * A combatant is down if it has been defeated or has run out of HP
+	 *
+	 * @param {Combatant} combatant
+	 * @returns {boolean}
+	 */
+	_isCombatantDown(combatant) {
+		return combatant.isDefeated
+			|| combatant.actor.system.attributes.hp.value <= 0;
+	}
+
+	/**
+	 * Groups all NPC combatants by the Actor they were created from
+	 *
+	 * @returns {object} - Arrays of combatants keyed by Actor id
+	 */
+	_npcGroups() {
+		const groups = {};
+		for (const combatant of this.combatants) {
+			if (combatant.actor?.type !== "NPC") continue;
+
+			groups[combatant.actorId] ??= [];
+			groups[combatant.actorId].push(combatant);
+		}
+		return groups;
+	}
+
+	/** @inheritdoc */
+	_onDelete(options, userId) {
+		super._onDelete(options, userId);
+
+		if (userId !== game.user.id) return;
+
+		this._promptAmmunitionRecovery().catch(error => console.error(error));
+	}
+
+	/** @inheritdoc */
+	async _onEndTurn(combatant) {
+		await super._onEndTurn(combatant);
+
+		// Dying characters get one step closer to death at the end of each
+		// of their turns
+		if (combatant.actor?.isDying()) {
+			await combatant.actor.advanceDeathTimer();
+		}
+	}
+
+	/** @inheritdoc */
+	async _onStartTurn(combatant) {
+		await super._onStartTurn(combatant);
+
+		await this._expireEffects();
+
+		if (combatant.actor?.isDying()) {
+			await combatant.actor.promptDeathRecovery();
+		}
+
+		// Focusing on a spell needs a new spellcasting check every turn
+		if (combatant.actor?.getFocusEffect()) {
+			await combatant.actor.promptFocusCheck();
+		}
+	}
+
+	/** @inheritdoc */
+	_onUpdateDescendantDocuments(parent, collection, documents, changes, options, userId) {
+		super._onUpdateDescendantDocuments(
+			parent, collection, documents, changes, options, userId
+		);
+
+		if (!shadowdark.utils.isPrimaryGM() || !this.started) return;
+
+		// Defeating a combatant may break the morale of its group
+		if (collection === "combatants" && changes.some(c => "defeated" in c)) {
+			this.checkMorale();
+		}
+	}
+
+	/**
+	 * Offers to recover some of the ammunition spent during the fight, if
+	 * enabled in the system settings
+	 */
+	async _promptAmmunitionRecovery() {
+		if (!game.settings.get("shadowdark", "promptAmmunitionRecovery")) return;
+
+		const actors = new Set(
+			this.combatants.map(c => c.actor).filter(a => a)
+		);
+		for (const actor of actors) {
+			await actor.promptAmmunitionRecovery();
+		}
+	}
+
+	async _sendMoraleMessage(actor, message, showRollButton=false) {
+		await actor._sendActorChatCard(
+			"systems/shadowdark/templates/chat/morale-check.hbs",
+			{
+				combatId: this.id,
+				message,
+				showRollButton,
+				title: game.i18n.localize("SHADOWDARK.chat.morale.title"),
+			},
+			{whisper: ChatMessage.getWhisperRecipients("GM")}
+		);
+	}
+
+	/**
+	 * Checks every NPC group in the encounter, prompting the GM to make a
+	 * morale check when a group has lost half its members or HP, or when
+	 * its leader has been taken down. Each group is only prompted once for
+	 * each of these reasons.
+	 *
+	 * Checks are queued on the primary GM, as each one reads and then
+	 * updates the morale flag.
+	 *
+	 * @returns {Promise}
+	 */
+	checkMorale() {
+		if (!shadowdark.utils.isPrimaryGM()) return Promise.resolve();
+
+		this._moraleCheck = (this._moraleCheck ?? Promise.resolve())
+			.then(() => this._checkMorale())
+			.catch(error => console.error(error));
+
+		return this._moraleCheck;
+	}
+
 	// Roll clockwise initiative (rulebook page 83) if that setting is selected
 	async rollInitiative(ids, { formula = null, updateTurn = true, messageOptions = {} } = {}) {
 		if (!game.settings.get("shadowdark", "useClockwiseInitiative")) {
@@ -146,4 +358,40 @@ export default class EncounterSD extends Combat {
 
 		return this;
 	}
+
+	/**
+	 * Rolls a DC 15 WIS morale check for the NPC group created from the
+	 * given Actor. If it fails, the remaining members of the group are
+	 * marked as fleeing on the combat tracker.
+	 *
+	 * @param {string} actorId - The id of the Actor the group was created from
+	 */
+	async rollMorale(actorId) {
+		const remaining = (this._npcGroups()[actorId] ?? [])
+			.filter(c => !this._isCombatantDown(c));
+
+		if (remaining.length === 0) return;
+
+		const actor = remaining[0].actor;
+		const result = await actor.rollAbility("wis", {
+			target: CONFIG.SHADOWDARK.DEFAULTS.MORALE_DC,
+		});
+
+		if (!result || result.rolls.main.success) return result;
+
+		await this.updateEmbeddedDocuments(
+			"Combatant",
+			remaining.map(c => ({
+				"_id": c.id,
+				"flags.shadowdark.moraleFailed": true,
+			}))
+		);
+
+		await this._sendMoraleMessage(
+			actor,
+			game.i18n.format("SHADOWDARK.chat.morale.failed", {name: actor.name})
+		);
+
+		return result;
+	}
 }
@@ -25,18 +25,27 @@ export default class ItemSD extends Item {
 			updateData.img = defaultImage;
 		}
 
-		// Store the creation time & initiative on the effect
+		// Store the creation time & initiative on the effect, along with
+		// whose turn it was so round durations end on the same turn
 		if (data.type === "Effect") {
-			const combatTime = (game.combat)
-				? `${game.combat.round}.${game.combat.turn}`
+			const combat = game.combat?.started ? game.combat : null;
+			const combatTime = (combat)
+				? `${combat.round}.${combat.turn}`
 				: null;
 
 			updateData["system.start"] = {
 				value: game.time.worldTime,
 				combatTime,
+				combatId: combat?.id ?? null,
+				combatantId: combat?.combatant?.id ?? null,
 			};
 		}
 
+		// Items copied from another actor lose a container that isn't here
+		if (this.system.containerId && !this.parent?.items.get(this.system.containerId)) {
+			updateData["system.containerId"] = "";
+		}
+
 		if (!foundry.utils.isEmpty(updateData)) {
 			this.updateSource(updateData);
 		}
@@ -205,7 +214,7 @@ export default class ItemSD extends Item {
 	async rollItem(parts, data, options={}) {
 		options.dialogTemplate =  "systems/shadowdark/templates/dialog/roll-item-dialog.hbs";
 		options.chatCardTemplate = "systems/shadowdark/templates/chat/item-card.hbs";
-		await CONFIG.DiceSD.RollDialog(parts, data, options);
+		return CONFIG.DiceSD.RollDialog(parts, data, options);
 	}
 
 	async rollSpell(parts, data, options={}) {
@@ -214,7 +223,8 @@ export default class ItemSD extends Item {
 		options.isSpell = true;
 		const roll = await CONFIG.DiceSD.RollDialog(parts, data, options);
 
-		if (roll) {
+		// Focus checks don't use up scrolls or break wands
+		if (roll && !options.focusCheck) {
 			if (this.type === "Scroll") {
 				data.actor.deleteEmbeddedDocuments("Item", [this._id]);
 			}
@@ -232,6 +242,22 @@ export default class ItemSD extends Item {
 	/*  Methods                                     */
 	/* -------------------------------------------- */
 
+	/**
+	 * Describes the damage this item deals, for comparing against an actor's
+	 * immunities, resistances and vulnerabilities.
+	 *
+	 * @returns {Array<string>} - Keys from `CONFIG.SHADOWDARK.DAMAGE_TRAITS`
+	 */
+	async damageTraits() {
+		const magic = this.isSpell() || this.isMagicItem();
+		const silver = await this.isSilvered();
+
+		return [
+			magic ? "magic" : "nonmagic",
+			silver ? "silver" : "nonsilver",
+		];
+	}
+
 	async hasProperty(property) {
 		property = property.slugify();
 
@@ -279,6 +305,14 @@ export default class ItemSD extends Item {
 		return this.system.isPhysical && this.system.magicItem;
 	}
 
+	isContainer() {
+		return this.system.isPhysical && this.system.container.isContainer;
+	}
+
+	isSilvered() {
+		return this.hasProperty("silvered");
+	}
+
 	isVersatile() {
 		return this.hasProperty("versatile");
 	}
@@ -515,6 +549,133 @@ export default class ItemSD extends Item {
 		return propertyItems;
 	}
 
+	/**
+	 * Whether the given item can be put into this container. A warning is
+	 * shown if it can't.
+	 *
+	 * @param {ItemSD} item
+	 * @returns {boolean}
+	 */
+	canContain(item) {
+		let warning = null;
+
+		if (!item.system.isPhysical || item.type === "Gem" || item.isContainer()) {
+			warning = "SHADOWDARK.inventory.container.error.not_allowed";
+		}
+		else if (item.isActiveLight()) {
+			warning = "SHADOWDARK.inventory.container.error.active_light";
+		}
+		else {
+			const capacity = this.system.container.capacity;
+			const slotsFree = capacity - this.containerSlotsUsed();
+
+			if (capacity > 0 && item.gearSlotsUsed() > slotsFree) {
+				warning = "SHADOWDARK.inventory.container.error.full";
+			}
+		}
+
+		if (warning) {
+			ui.notifications.warn(
+				game.i18n.format(warning, {item: item.name, container: this.name})
+			);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * The items on the same actor that are inside this container.
+	 *
+	 * @returns {Array<ItemSD>}
+	 */
+	containerContents() {
+		if (!this.actor || !this.isContainer()) return [];
+
+		return this.actor.items.filter(
+			item => item.system.containerId === this.id
+		);
+	}
+
+	containerSlotsUsed() {
+		return this.containerContents().reduce(
+			(total, item) => total + item.gearSlotsUsed(), 0
+		);
+	}
+
+	/**
+	 * The gear slots taken up by this item, before any free carry.
+	 *
+	 * @returns {number}
+	 */
+	gearSlotsUsed() {
+		if (!this.system.isPhysical) return 0;
+
+		const {per_slot: perSlot, slots_used: slotsUsed} = this.system.slots;
+		return Math.ceil(this.system.quantity / perSlot) * slotsUsed;
+	}
+
+	/**
+	 * The container this item is inside, if any.
+	 *
+	 * @returns {ItemSD|undefined}
+	 */
+	getContainer() {
+		const container = this.actor?.items.get(this.system.containerId ?? "");
+		return container?.isContainer() ? container : undefined;
+	}
+
+	/**
+	 * Whether this is an Effect with a round or turn duration that started
+	 * during the given combat, and so counts down with it rather than with
+	 * world time.
+	 *
+	 * @param {Combat} combat
+	 * @returns {boolean}
+	 */
+	tracksCombat(combat=game.combat) {
+		if (this.type !== "Effect" || !combat?.started) return false;
+		if (!["rounds", "turns"].includes(this.system.duration.type)) return false;
+
+		const start = this.system.start;
+		if (!start.combatTime) return false;
+
+		return !start.combatId || start.combatId === combat.id;
+	}
+
+	/**
+	 * Works out how many rounds of the given combat are left before the
+	 * Effect ends. It ends at the start of the turn of the combatant whose
+	 * turn it was when it began, once its duration in rounds has passed.
+	 *
+	 * @param {Combat} combat
+	 * @returns {{expired: boolean, remaining: number, progress: number}}
+	 */
+	combatRemainingDuration(combat=game.combat) {
+		const start = this.system.start;
+		const [round, turn] = start.combatTime.split(".").map(n => parseInt(n, 10));
+
+		let startTurn = combat.turns.findIndex(c => c.id === start.combatantId);
+		if (startTurn < 0) startTurn = turn || 0;
+
+		const duration = Math.max(
+			1,
+			Math.round(this.totalDuration / CONFIG.SHADOWDARK.DURATION_UNITS.rounds)
+		);
+
+		let elapsed = combat.round - round;
+		if (combat.turn < startTurn) elapsed--;
+
+		const remaining = Math.max(0, duration - elapsed);
+		const progress = 100 - Math.floor(100 * remaining / duration);
+
+		return {
+			expired: remaining <= 0,
+			remaining,
+			progress,
+		};
+	}
+
 	// Duration getters
 
 	/**
@@ -545,40 +706,14 @@ export default class ItemSD extends Item {
 	get remainingDuration() {
 		if (this.type !== "Effect") return false;
 
-		// Handle rounds-effects
+		// Round and turn effects started in combat count down with it
+		if (this.tracksCombat()) {
+			return this.combatRemainingDuration();
+		}
+
+		// Rounds only mean something during the combat they started in
 		if (this.system.duration.type === "rounds") {
-			// If there is combat, check if it was added during combat, otherwise
-			// consider it expired
-			if (game.combat) {
-				const startCombatTime = this.system.start.combatTime;
-				if (!startCombatTime) return { expired: true, remaining: 0, progress: 100 };
-
-				const round = startCombatTime.split(".")[0];
-				const turn = startCombatTime.split(".")[1];
-
-				// If it is a new round or the same turn the effect
-				// was initiated, calculate duration
-				if (
-					round !== game.combat.round
-					|| turn !== game.combat.turn
-				) {
-					const duration = parseInt(this.system.duration.value, 10);
-					const remaining = parseInt(round, 10) + duration - game.combat.round;
-					const progress = (100 - Math.floor(100 * remaining / duration));
-					return {
-						expired: remaining <= 0,
-						remaining,
-						progress,
-					};
-				}
-				else {
-					return false;
-				}
-			}
-			// If added outside combat, expire the effect
-			else {
-				return { expired: true, remaining: 0, progress: 100 };
-			}
+			return { expired: true, remaining: 0, progress: 100 };
 		}
 
 		// Handle timing effects
@@ -1,10 +1,14 @@
 import { CanvasHooks } from "./hooks/canvas.mjs";
 import { ChatMessageHooks } from "./hooks/chat-messages.mjs";
+import { CombatTrackerHooks } from "./hooks/combat-tracker.mjs";
+import { CrawlTrackerHooks } from "./hooks/crawl-tracker.mjs";
 import { DropLightsourceHooks } from "./hooks/drop-lightsource-on-scene.mjs";
 import { EffectHooks } from "./hooks/effects.mjs";
+import { EncumbranceHooks } from "./hooks/encumbrance.mjs";
 import { EffectPanelHooks } from "./hooks/effect-panel.mjs";
 import { LightSourceTrackerHooks } from "./hooks/light-source-tracker.mjs";
 import { NPCHooks } from "./hooks/npc.mjs";
+import { PartyHooks } from "./hooks/party.mjs";
 import { SDAppsButtons } from "./hooks/sd-apps-buttons.mjs";
 import { hotbarHooks } from "./hooks/hotbar.mjs";
 
@@ -12,10 +16,13 @@ export const HooksSD = {
 	attach: () => {
 		const listeners = [
 			CanvasHooks,
+			CrawlTrackerHooks,
 			DropLightsourceHooks,
 			EffectHooks,
+			EncumbranceHooks,
 			LightSourceTrackerHooks,
 			NPCHooks,
+			PartyHooks,
 			hotbarHooks,
 		];
 
@@ -41,6 +48,7 @@ export const HooksInitSD = {
 	attach: () => {
 		const listeners = [
 			SDAppsButtons,
+			CombatTrackerHooks,
 			EffectPanelHooks,
 		];
 
@@ -37,5 +37,82 @@ export const CanvasHooks = {
 				}
 			}
 		});
+
+		// Conditions such as being paralyzed stop a token from moving,
+		// although the GM can still move it
+		Hooks.on("preUpdateToken", (tokenDocument, changes) => {
+			if (game.user.isGM || !("x" in changes || "y" in changes)) return;
+
+			const actor = tokenDocument.actor;
+			const effects = actor?.getMechanicalEffects("noMovement") ?? [];
+			if (effects.length > 0) {
+				ui.notifications.warn(
+					game.i18n.format("SHADOWDARK.notify.condition.no_movement", {
+						conditions: effects.map(effect => effect.name).join(", "),
+						name: tokenDocument.name,
+					})
+				);
+				return false;
+			}
+
+			// Others, such as being overloaded, limit how far it can move at once
+			const limitEffects = actor?.getMechanicalEffects("moveLimit") ?? [];
+			if (limitEffects.length === 0) return;
+
+			const scale = shadowdark.utils.getRangeDistances(tokenDocument.parent).near
+				/ CONFIG.SHADOWDARK.RANGE_DISTANCES.near;
+
+			const maxDistance = Math.min(...limitEffects.map(
+				effect => CONFIG.SHADOWDARK.CONDITION_MOVE_DISTANCES[
+					effect.system.mechanics.moveLimit
+				] * scale
+			));
+
+			const {distance} = canvas.grid.measurePath([
+				{x: tokenDocument.x, y: tokenDocument.y},
+				{x: changes.x ?? tokenDocument.x, y: changes.y ?? tokenDocument.y},
+			]);
+
+			if (distance <= maxDistance) return;
+
+			ui.notifications.warn(
+				game.i18n.format("SHADOWDARK.notify.condition.move_limit", {
+					conditions: limitEffects.map(effect => effect.name).join(", "),
+					distance: maxDistance,
+					name: tokenDocument.name,
+					units: canvas.grid.units,
+				})
+			);
+			return false;
+		});
+
+		// Let each scene set how far Near is, which the other range bands are
+		// scaled from
+		Hooks.on("renderSceneConfig", (app, html) => {
+			const nearDistance = app.document.getFlag("shadowdark", "nearDistance") ?? "";
+			const defaultDistance = shadowdark.utils.getDefaultNearDistance(
+				app.document
+			);
+
+			const formGroup = $(`
+				<div class="form-group">
+					<label>${game.i18n.localize("SHADOWDARK.scene.near_distance.name")}</label>
+					<div class="form-fields">
+						<input
+							type="number"
+							name="flags.shadowdark.nearDistance"
+							value="${nearDistance}"
+							placeholder="${defaultDistance}"
+							min="0"
+							step="any"
+						>
+					</div>
+					<p class="notes">${game.i18n.localize("SHADOWDARK.scene.near_distance.hint")}</p>
+				</div>
+			`);
+
+			html.find("input[name='grid.distance']").closest(".form-group").after(formGroup);
+			app.setPosition({height: "auto"});
+		});
 	},
 };
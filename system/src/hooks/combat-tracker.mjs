@@ -0,0 +1,62 @@
+export const CombatTrackerHooks = {
+	attach: () => {
+		Hooks.on("getCombatTrackerEntryContext", (html, options) => {
+			const getCombatant = li => game.combat?.combatants.get(
+				li.data("combatant-id")
+			);
+
+			options.push({
+				name: "SHADOWDARK.combat_tracker.mark_leader",
+				icon: '<i class="fas fa-crown"></i>',
+				condition: li => game.user.isGM
+					&& getCombatant(li)?.actor?.type === "NPC"
+					&& !getCombatant(li).getFlag("shadowdark", "leader"),
+				callback: li => getCombatant(li).setFlag("shadowdark", "leader", true),
+			});
+
+			options.push({
+				name: "SHADOWDARK.combat_tracker.unmark_leader",
+				icon: '<i class="fas fa-crown"></i>',
+				condition: li => game.user.isGM
+					&& getCombatant(li)?.getFlag("shadowdark", "leader"),
+				callback: li => getCombatant(li).unsetFlag("shadowdark", "leader"),
+			});
+
+			options.push({
+				name: "SHADOWDARK.combat_tracker.clear_morale_failed",
+				icon: '<i class="fas fa-person-running"></i>',
+				condition: li => game.user.isGM
+					&& getCombatant(li)?.getFlag("shadowdark", "moraleFailed"),
+				callback: li => getCombatant(li).unsetFlag("shadowdark", "moraleFailed"),
+			});
+		});
+
+		Hooks.on("renderCombatTracker", (app, html, data) => {
+			const combat = app.viewed;
+			if (!combat) return;
+
+			html.find(".combatant[data-combatant-id]").each((i, li) => {
+				const combatant = combat.combatants.get(li.dataset.combatantId);
+				if (!combatant) return;
+
+				const name = $(li).find(".token-name h4");
+
+				if (combatant.getFlag("shadowdark", "leader")) {
+					name.append(
+						`<i class="fas fa-crown combatant-flag" data-tooltip="${
+							game.i18n.localize("SHADOWDARK.combat_tracker.leader")
+						}"></i>`
+					);
+				}
+
+				if (combatant.getFlag("shadowdark", "moraleFailed")) {
+					name.append(
+						`<i class="fas fa-person-running combatant-flag" data-tooltip="${
+							game.i18n.localize("SHADOWDARK.combat_tracker.morale_failed")
+						}"></i>`
+					);
+				}
+			});
+		});
+	},
+};
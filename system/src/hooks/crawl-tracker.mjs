@@ -0,0 +1,25 @@
+// Hooks used by the Crawl Tracker
+export const CrawlTrackerHooks = {
+	attach: () => {
+		const ct = game.shadowdark.crawlTracker;
+
+		if (game.user.isGM) {
+			Hooks.on("updateWorldTime", ct.onUpdateWorldTime.bind(ct));
+
+			// Keep the danger level and encounter table in sync with the scene
+			// being viewed
+			Hooks.on("canvasReady", () => {
+				if (ct.rendered) ct.render(false);
+			});
+
+			Hooks.on("pauseGame", () => {
+				if (ct.rendered) ct.render(false);
+			});
+
+			if (ct.state.active) {
+				ct.realTime.start();
+				ct.render(true);
+			}
+		}
+	},
+};
@@ -20,6 +20,11 @@ export const EffectPanelHooks = {
 			game.shadowdark.effectPanel.deleteExpiredEffects();
 		});
 
+		// Round and turn durations count down as the combat moves on
+		Hooks.on("updateCombat", (combat, changed, options, userId) => {
+			game.shadowdark.effectPanel.refresh();
+		});
+
 		Hooks.on("createActiveEffect", (activeEffect, config, userId) => {
 			game.shadowdark.effectPanel.refresh();
 		});
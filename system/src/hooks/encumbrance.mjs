@@ -0,0 +1,36 @@
+// Characters carrying more than their gear slots allow get the Overloaded
+// effect, which is removed again as soon as they drop or stash enough.
+//
+// Updates are debounced per actor, as moving several items at once would
+// otherwise try to add the effect more than once
+const pendingUpdates = {};
+
+function updateOverloaded(actor, userId) {
+	if (userId !== game.user.id || actor?.type !== "Player") return;
+
+	pendingUpdates[actor.uuid] ??= foundry.utils.debounce(
+		target => target.updateOverloaded(),
+		100
+	);
+	pendingUpdates[actor.uuid](actor);
+}
+
+export const EncumbranceHooks = {
+	attach: () => {
+		Hooks.on("updateActor", (actor, changes, options, userId) => {
+			updateOverloaded(actor, userId);
+		});
+
+		Hooks.on("createItem", (item, options, userId) => {
+			updateOverloaded(item.parent, userId);
+		});
+
+		Hooks.on("deleteItem", (item, options, userId) => {
+			updateOverloaded(item.parent, userId);
+		});
+
+		Hooks.on("updateItem", (item, changes, options, userId) => {
+			updateOverloaded(item.parent, userId);
+		});
+	},
+};
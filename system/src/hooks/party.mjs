@@ -0,0 +1,22 @@
+// Party sheets show their members' HP, AC, luck and light sources, so keep
+// any open ones up to date as those members change
+function renderParties(actor) {
+	if (actor?.type !== "Player") return;
+
+	for (const app of Object.values(ui.windows)) {
+		const party = app.actor;
+		if (party?.type === "Party" && party.system.members.includes(actor.id)) {
+			app.render(false);
+		}
+	}
+}
+
+export const PartyHooks = {
+	attach: () => {
+		Hooks.on("updateActor", actor => renderParties(actor));
+
+		Hooks.on("createItem", item => renderParties(item.parent));
+		Hooks.on("deleteItem", item => renderParties(item.parent));
+		Hooks.on("updateItem", item => renderParties(item.parent));
+	},
+};
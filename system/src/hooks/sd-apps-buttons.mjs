@@ -7,7 +7,8 @@ export const SDAppsButtons = {
 
 				const renderedHTML = $(
 					await renderTemplate(
-						"systems/shadowdark/templates/ui/sd-apps-buttons.hbs"
+						"systems/shadowdark/templates/ui/sd-apps-buttons.hbs",
+						{isGM: game.user.isGM}
 					)
 				);
 
@@ -17,9 +18,17 @@ export const SDAppsButtons = {
 					new shadowdark.apps.CharacterGeneratorSD().render(true);
 				});
 
+				html.on("click", ".funnel-button", () => {
+					new shadowdark.apps.FunnelSD().render(true);
+				});
+
 				html.on("click", ".shadowdarkling-import-button", () => {
 					new shadowdark.apps.ShadowdarklingImporterSD().render(true);
 				});
+
+				html.on("click", ".xp-award-button", () => {
+					new shadowdark.apps.XpAwardSD().render(true);
+				});
 			}
 		});
 
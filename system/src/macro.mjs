@@ -1,5 +1,10 @@
 export default class ShadowdarkMacro {
 
+	static async carousing() {
+		new shadowdark.apps.CarousingSD().render(true);
+	}
+
+
 	static async initializeLuck(rollFormula="1d4") {
 		if (!game.user.isGM) {
 			return ui.notifications.error(
@@ -46,6 +51,44 @@ export default class ShadowdarkMacro {
 	}
 
 
+	static async partyRest(interrupted=false) {
+		if (!game.user.isGM) {
+			return ui.notifications.error(
+				game.i18n.format("SHADOWDARK.macro.error.gm_role_required", {
+					macro: "Party Rest",
+				})
+			);
+		}
+		else {
+			try {
+				const players = game.users.players;
+
+				for (const player of players) {
+					const actor = player.character;
+
+					if (!actor) continue; // Player doesn't own a character
+
+					await actor.rest({interrupted});
+				}
+
+				return ui.notifications.info(
+					game.i18n.format("SHADOWDARK.macro.success", {
+						macro: "Party Rest",
+					})
+				);
+			}
+			catch(e) {
+				return ui.notifications.error(
+					game.i18n.format("SHADOWDARK.macro.error.caught_error", {
+						macro: "Party Rest",
+						error: e,
+					})
+				);
+			}
+		}
+	}
+
+
 	static async rollItemMacro(itemName) {
 		const speaker = ChatMessage.getSpeaker();
 
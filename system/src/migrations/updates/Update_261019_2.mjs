@@ -0,0 +1,24 @@
+import { UpdateBaseSD } from "../UpdateBaseSD.mjs";
+
+// Talents that give extra talent rolls at 1st level now say so in their
+// data, rather than being found by name when levelling up
+const EXTRA_TALENT_ROLLS = {
+	"Compendium.shadowdark.talents.Item.DYWFJu5XeazJYc0P": 1, // Ambitious
+};
+
+export default class Update_261019_2 extends UpdateBaseSD {
+	static version = 261019.2;
+
+	async updateItem(itemData, actorData) {
+		if (itemData.type !== "Talent") return;
+		if (itemData.system.extraTalentRolls) return;
+
+		const sourceId = itemData._stats?.compendiumSource
+			?? itemData.flags?.core?.sourceId;
+
+		const extraTalentRolls = EXTRA_TALENT_ROLLS[sourceId];
+		if (!extraTalentRolls) return;
+
+		return {"system.extraTalentRolls": extraTalentRolls};
+	}
+}
@@ -0,0 +1,23 @@
+import { UpdateBaseSD } from "../UpdateBaseSD.mjs";
+
+// Classes that serve a patron now say so in their data, so levelling up
+// knows to roll on the patron's boon table
+const PATRON_CLASSES = [
+	"Compendium.shadowdark.classes.Item.waXnHdAHSHSo0dQI", // Warlock
+];
+
+export default class Update_261019_3 extends UpdateBaseSD {
+	static version = 261019.3;
+
+	async updateItem(itemData, actorData) {
+		if (itemData.type !== "Class") return;
+		if (itemData.system.patronBoons) return;
+
+		const sourceId = itemData._stats?.compendiumSource
+			?? itemData.flags?.core?.sourceId;
+
+		if (!PATRON_CLASSES.includes(sourceId)) return;
+
+		return {"system.patronBoons": true};
+	}
+}
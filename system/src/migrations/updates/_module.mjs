@@ -22,3 +22,5 @@ export {default as Update_231112_1} from "./Update_231112_1.mjs";
 export {default as Update_231125_1} from "./Update_231125_1.mjs";
 export {default as Update_231216_1} from "./Update_231216_1.mjs";
 export {default as Update_240910_1} from "./Update_240910_1.mjs";
+export {default as Update_261019_2} from "./Update_261019_2.mjs";
+export {default as Update_261019_3} from "./Update_261019_3.mjs";
@@ -1,4 +1,5 @@
 import { ModuleArtConfig } from "./utils/module-art.mjs";
+import CarousingSettings from "./apps/CarousingSettings.mjs";
 import SourceFilterSettings from "./apps/SourceFilterSettings.mjs";
 
 /**
@@ -42,6 +43,20 @@ export default function registerSystemSettings() {
 	});
 	SourceFilterSettings.registerSetting();
 
+	// -----------
+	//  CAROUSING
+	// -----------
+	//
+	game.settings.registerMenu("shadowdark", "carousing", {
+		name: "SHADOWDARK.settings.carousing.name",
+		hint: "SHADOWDARK.settings.carousing.hint",
+		label: "SHADOWDARK.settings.carousing.button_label",
+		icon: "fa-solid fa-champagne-glasses",
+		type: CarousingSettings,
+		restricted: true,
+	});
+	CarousingSettings.registerSetting();
+
 	// ----------------
 	//  NPC HIT POINTS
 	// ----------------
@@ -116,7 +131,10 @@ export default function registerSystemSettings() {
 		config: true,
 		default: true,
 		type: Boolean,
-		onChange: () => game.shadowdark.lightSourceTracker._settingsChanged(),
+		onChange: () => {
+			game.shadowdark.lightSourceTracker._settingsChanged();
+			game.shadowdark.crawlTracker._settingsChanged();
+		},
 	});
 
 	game.settings.register("shadowdark", "pauseLightTrackingWithGame", {
@@ -143,6 +161,37 @@ export default function registerSystemSettings() {
 		requiresReload: true,
 	});
 
+	// ---------------
+	//  CRAWL TRACKER
+	// ---------------
+	//
+	game.settings.register("shadowdark", "crawlingRoundLength", {
+		name: "SHADOWDARK.settings.crawling_round_length.name",
+		hint: "SHADOWDARK.settings.crawling_round_length.hint",
+		scope: "world",
+		config: true,
+		default: 10,
+		type: Number,
+		range: {
+			min: 1,
+			max: 60,
+			step: 1,
+		},
+	});
+
+	game.settings.register("shadowdark", "crawlTracker", {
+		name: "Crawl Tracker State",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: {
+			active: false,
+			lastCheck: null,
+			round: 0,
+			startTime: 0,
+		},
+	});
+
 	// ----------------------
 	//  EFFECT PANEL SETTINGS
 	// ----------------------
@@ -170,6 +219,139 @@ export default function registerSystemSettings() {
 		requiresReload: true,
 	});
 
+	// --------------
+	//  RANGE BANDS
+	// --------------
+	//
+	game.settings.register("shadowdark", "outOfRangeAttacks", {
+		name: "SHADOWDARK.settings.out_of_range_attacks.name",
+		hint: "SHADOWDARK.settings.out_of_range_attacks.hint",
+		scope: "world",
+		config: true,
+		default: "warn",
+		type: String,
+		choices: {
+			off: "SHADOWDARK.settings.out_of_range_attacks.choice.off",
+			warn: "SHADOWDARK.settings.out_of_range_attacks.choice.warn",
+			disadvantage: "SHADOWDARK.settings.out_of_range_attacks.choice.disadvantage",
+		},
+	});
+
+	// ------------
+	//  AMMUNITION
+	// ------------
+	//
+	game.settings.register("shadowdark", "promptAmmunitionRecovery", {
+		name: "SHADOWDARK.settings.ammunition_recovery.name",
+		hint: "SHADOWDARK.settings.ammunition_recovery.hint",
+		scope: "world",
+		config: true,
+		default: true,
+		type: Boolean,
+	});
+
+	// -------------
+	//  ENCUMBRANCE
+	// -------------
+	//
+	// Changing any of these refreshes the Overloaded effect on characters.
+	// Only the primary GM does this, so that the effect isn't duplicated.
+	const refreshOverloaded = () => {
+		if (!shadowdark.utils.isPrimaryGM()) return;
+
+		for (const actor of game.actors.filter(a => a.type === "Player")) {
+			actor.updateOverloaded(true);
+		}
+	};
+
+	game.settings.register("shadowdark", "useEncumbrance", {
+		name: "SHADOWDARK.settings.use_encumbrance.name",
+		hint: "SHADOWDARK.settings.use_encumbrance.hint",
+		scope: "world",
+		config: true,
+		default: false,
+		type: Boolean,
+		onChange: refreshOverloaded,
+	});
+
+	game.settings.register("shadowdark", "overloadedDisadvantage", {
+		name: "SHADOWDARK.settings.overloaded_disadvantage.name",
+		hint: "SHADOWDARK.settings.overloaded_disadvantage.hint",
+		scope: "world",
+		config: true,
+		default: "strDex",
+		type: String,
+		choices: {
+			none: "SHADOWDARK.settings.overloaded_disadvantage.choice.none",
+			strDex: "SHADOWDARK.settings.overloaded_disadvantage.choice.str_dex",
+			all: "SHADOWDARK.settings.overloaded_disadvantage.choice.all",
+		},
+		onChange: refreshOverloaded,
+	});
+
+	game.settings.register("shadowdark", "overloadedMove", {
+		name: "SHADOWDARK.settings.overloaded_move.name",
+		hint: "SHADOWDARK.settings.overloaded_move.hint",
+		scope: "world",
+		config: true,
+		default: "halfNear",
+		type: String,
+		choices: {
+			none: "SHADOWDARK.settings.overloaded_move.choice.none",
+			halfNear: "SHADOWDARK.settings.overloaded_move.choice.half_near",
+			close: "SHADOWDARK.settings.overloaded_move.choice.close",
+		},
+		onChange: refreshOverloaded,
+	});
+
+	// ---------------------
+	//  CHARACTER GENERATOR
+	// ---------------------
+	//
+	game.settings.register("shadowdark", "abilityScoreMethod", {
+		name: "SHADOWDARK.settings.ability_score_method.name",
+		hint: "SHADOWDARK.settings.ability_score_method.hint",
+		scope: "world",
+		config: true,
+		default: "inOrder",
+		type: String,
+		choices: CONFIG.SHADOWDARK.ABILITY_SCORE_METHODS,
+	});
+
+	// -----------------
+	//  CONTESTED CHECKS
+	// -----------------
+	//
+	game.settings.register("shadowdark", "contestTieRule", {
+		name: "SHADOWDARK.settings.contest_tie_rule.name",
+		hint: "SHADOWDARK.settings.contest_tie_rule.hint",
+		scope: "world",
+		config: true,
+		default: "opponent",
+		type: String,
+		choices: {
+			opponent: "SHADOWDARK.settings.contest_tie_rule.choice.opponent",
+			initiator: "SHADOWDARK.settings.contest_tie_rule.choice.initiator",
+			modifier: "SHADOWDARK.settings.contest_tie_rule.choice.modifier",
+			none: "SHADOWDARK.settings.contest_tie_rule.choice.none",
+		},
+	});
+
+	// -----------
+	//  XP AWARDS
+	// -----------
+	//
+	game.settings.register("shadowdark", "xpAwardLog", {
+		name: "XP Award Log",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: {
+			session: 1,
+			awards: [],
+		},
+	});
+
 	// ----------------
 	//  DEBUG SETTINGS
 	// ----------------
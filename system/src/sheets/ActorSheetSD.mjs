@@ -8,6 +8,10 @@ export default class ActorSheetSD extends ActorSheet {
 			event => this._onRollAbilityCheck(event)
 		);
 
+		html.find("[data-action='start-contest']").click(
+			event => this._onStartContest(event)
+		);
+
 		html.find("[data-action='roll-hp']").click(
 			event => this._onRollHP(event)
 		);
@@ -138,6 +142,30 @@ export default class ActorSheetSD extends ActorSheet {
 		return false;
 	}
 
+	/**
+	 * Copies the contents of a container dropped from another actor into
+	 * the container's new copy on this actor.
+	 *
+	 * @param {ItemSD} container - The container that was dropped
+	 * @param {ItemSD} newContainer - Its copy on this actor
+	 * @returns {Promise<Array<ItemSD>>} - The contents that were copied
+	 */
+	async _onDropContainerContents(container, newContainer) {
+		const copied = [];
+
+		// Each item is created on its own so that we know exactly which
+		// ones made it across
+		for (const item of container.containerContents()) {
+			const itemData = item.toObject();
+			itemData.system.containerId = newContainer.id;
+
+			const created = await this.actor.createEmbeddedDocuments("Item", [itemData]);
+			if (created?.length) copied.push(item);
+		}
+
+		return copied;
+	}
+
 	async _onDropItem(event, data) {
 		if (await this._effectDropNotAllowed(data)) return false;
 
@@ -199,6 +227,9 @@ export default class ActorSheetSD extends ActorSheet {
 			case "language":
 				new select.LanguageSelector(this.actor).render(true);
 				break;
+			case "patron":
+				new select.PatronSelector(this.actor).render(true);
+				break;
 		}
 	}
 
@@ -240,6 +271,12 @@ export default class ActorSheetSD extends ActorSheet {
 		this.actor.rollAttack(itemId, options);
 	}
 
+	async _onStartContest(event) {
+		event.preventDefault();
+
+		this.actor.startContest();
+	}
+
 	async _onToggleLost(event) {
 		event.preventDefault();
 		const itemId = $(event.currentTarget).data("item-id");
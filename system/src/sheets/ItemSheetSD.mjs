@@ -334,6 +334,7 @@ export default class ItemSheetSD extends ItemSheet {
 				"NPC Attack",
 				"NPC Special Attack",
 				"NPC Spell",
+				"Patron",
 				"Potion",
 				"Property",
 				"Scroll",
@@ -377,6 +378,20 @@ export default class ItemSheetSD extends ItemSheet {
 			await this.getClassSelectorConfigs(context);
 		}
 
+		if (item.type === "Boon") {
+			context.patrons = {};
+			for (const patron of await shadowdark.compendiums.patrons()) {
+				context.patrons[patron.uuid] = patron.name;
+			}
+		}
+
+		if (item.type === "Patron") {
+			context.boonTables = {};
+			for (const table of await shadowdark.compendiums.patronBoonTables()) {
+				context.boonTables[table.uuid] = table.name;
+			}
+		}
+
 		if (["Scroll", "Spell", "Wand"].includes(item.type)) {
 			await this.getSpellSelectorConfigs(context);
 		}
@@ -399,6 +414,23 @@ export default class ItemSheetSD extends ItemSheet {
 				);
 
 				delete context.baseWeapons[mySlug];
+
+				// Ranged weapons can be bound to ammunition carried by the
+				// same actor
+				if (item.actor && item.system.type === "ranged") {
+					context.ammunitionOptions = {};
+					for (const ammo of item.actor.items) {
+						if (ammo.type !== "Basic" || ammo.system.light.isSource) continue;
+
+						context.ammunitionOptions[ammo.id] = game.i18n.format(
+							"SHADOWDARK.item.weapon.ammunition.option",
+							{
+								name: ammo.name,
+								quantity: ammo.system.quantity,
+							}
+						);
+					}
+				}
 			}
 		}
 
@@ -985,7 +1017,7 @@ export default class ItemSheetSD extends ItemSheet {
 			)
 			&& ["unlimited", "focus", "instant", "permanent"].includes(this.item.system.duration.type)
 		) {
-			duration.seconds = 4201620;
+			duration.seconds = CONFIG.SHADOWDARK.DEFAULTS.TOKEN_ICON_DURATION_SECS;
 		}
 
 		return duration;
@@ -67,6 +67,30 @@ export default class NpcSheetSD extends ActorSheetSD {
 			event => this._onToggleLost(event)
 		);
 
+		html.find("[data-action='routine-create']").click(
+			event => this._onCreateRoutine(event)
+		);
+
+		html.find("[data-action='routine-delete']").click(
+			event => this._onDeleteRoutine(event)
+		);
+
+		html.find("[data-action='routine-roll']").click(
+			event => this._onRollRoutine(event)
+		);
+
+		html.find("[data-action='routine-attack-add']").click(
+			event => this._onAddRoutineAttack(event)
+		);
+
+		html.find("[data-action='routine-attack-delete']").click(
+			event => this._onDeleteRoutineAttack(event)
+		);
+
+		html.find(".routine-name, .routine-attack-num, .routine-attack-item").change(
+			event => this._onChangeRoutine(event)
+		);
+
 		// Handle default listeners last so system listeners are triggered first
 		super.activateListeners(html);
 	}
@@ -150,6 +174,13 @@ export default class NpcSheetSD extends ActorSheetSD {
 			}
 		}
 
+		context.attackRoutines = context.system.attackRoutines ?? [];
+		context.routineAttackOptions = Object.fromEntries(
+			this.actor.items
+				.filter(i => i.type === "NPC Attack" && i.system.attackType !== "special")
+				.map(i => [i.id, i.name])
+		);
+
 		context.attacks = attacks;
 		context.specials = specials;
 		context.spells = spells;
@@ -157,6 +188,107 @@ export default class NpcSheetSD extends ActorSheetSD {
 		context.effects = effects;
 	}
 
+	async _onAddRoutineAttack(event) {
+		event.preventDefault();
+
+		const attack = this.actor.items.find(
+			i => i.type === "NPC Attack" && i.system.attackType !== "special"
+		);
+
+		await this._updateRoutine(event, routine => {
+			routine.attacks.push({itemId: attack?.id ?? "", num: 1});
+		});
+	}
+
+	/**
+	 * The inputs for attack routines aren't part of the sheet's form data,
+	 * so changes to them are saved here instead.
+	 *
+	 * @param {Event} event
+	 */
+	async _onChangeRoutine(event) {
+		event.preventDefault();
+		event.stopPropagation();
+
+		const input = event.currentTarget;
+		const attackIndex = $(input).closest(".routine-attack").data("attack-index");
+
+		await this._updateRoutine(event, routine => {
+			if (input.classList.contains("routine-name")) {
+				routine.name = input.value;
+			}
+			else if (input.classList.contains("routine-attack-num")) {
+				routine.attacks[attackIndex].num = Math.max(1, parseInt(input.value, 10) || 1);
+			}
+			else {
+				routine.attacks[attackIndex].itemId = input.value;
+			}
+		});
+	}
+
+	async _onCreateRoutine(event) {
+		event.preventDefault();
+
+		// Start with every attack, using the number of attacks from the stat
+		// block where it's a plain number
+		const attacks = this.actor.items
+			.filter(i => i.type === "NPC Attack" && i.system.attackType !== "special")
+			.map(i => ({
+				itemId: i.id,
+				num: parseInt(i.system.attack.num, 10) || 1,
+			}));
+
+		const routines = foundry.utils.deepClone(this.actor.system.attackRoutines ?? []);
+		routines.push({
+			name: game.i18n.localize("SHADOWDARK.sheet.npc.routine.default_name"),
+			attacks,
+		});
+
+		await this.actor.update({"system.attackRoutines": routines});
+	}
+
+	async _onDeleteRoutine(event) {
+		event.preventDefault();
+
+		const index = $(event.currentTarget).closest(".routine").data("routine-index");
+		const routines = foundry.utils.deepClone(this.actor.system.attackRoutines ?? []);
+		routines.splice(index, 1);
+
+		await this.actor.update({"system.attackRoutines": routines});
+	}
+
+	async _onDeleteRoutineAttack(event) {
+		event.preventDefault();
+
+		const attackIndex = $(event.currentTarget).closest(".routine-attack").data("attack-index");
+		await this._updateRoutine(event, routine => {
+			routine.attacks.splice(attackIndex, 1);
+		});
+	}
+
+	async _onRollRoutine(event) {
+		event.preventDefault();
+
+		const index = $(event.currentTarget).closest(".routine").data("routine-index");
+		this.actor.rollAttackRoutine(index);
+	}
+
+	/**
+	 * Applies a change to the attack routine the event came from.
+	 *
+	 * @param {Event} event
+	 * @param {Function} change - Called with the routine to modify
+	 */
+	async _updateRoutine(event, change) {
+		const index = $(event.currentTarget).closest(".routine").data("routine-index");
+		const routines = foundry.utils.deepClone(this.actor.system.attackRoutines ?? []);
+		if (!routines[index]) return;
+
+		change(routines[index]);
+
+		await this.actor.update({"system.attackRoutines": routines});
+	}
+
 	async _onUseAbility(event) {
 		event.preventDefault();
 		const itemId = $(event.currentTarget).data("item-id");
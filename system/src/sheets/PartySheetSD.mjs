@@ -0,0 +1,322 @@
+import ActorSheetSD from "./ActorSheetSD.mjs";
+
+export default class PartySheetSD extends ActorSheetSD {
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "sheet", "party"],
+			scrollY: ["section.SD-content-body"],
+			width: 600,
+			height: 600,
+			resizable: true,
+			tabs: [
+				{
+					navSelector: ".SD-nav",
+					contentSelector: ".SD-content-body",
+					initial: "tab-members",
+				},
+			],
+		});
+	}
+
+	/** @inheritdoc */
+	get template() {
+		return "systems/shadowdark/templates/actors/party.hbs";
+	}
+
+	/** @inheritdoc */
+	activateListeners(html) {
+		html.find("[data-action='open-member']").click(
+			event => this._onOpenMember(event)
+		);
+
+		html.find("[data-action='member-up']").click(
+			event => this._onMoveMember(event, -1)
+		);
+
+		html.find("[data-action='member-down']").click(
+			event => this._onMoveMember(event, 1)
+		);
+
+		html.find("[data-action='remove-member']").click(
+			event => this._onRemoveMember(event)
+		);
+
+		html.find("[data-action='award-xp']").click(
+			event => this._onAwardXp(event)
+		);
+
+		html.find("[data-action='give-coins']").click(
+			event => this._onGiveCoins(event)
+		);
+
+		html.find("[data-action='party-rest']").click(
+			event => this._onPartyRest(event)
+		);
+
+		// Handle default listeners last so system listeners are triggered first
+		super.activateListeners(html);
+	}
+
+	/** @override */
+	async getData(options) {
+		const context = await super.getData(options);
+
+		context.isGM = game.user.isGM;
+		context.usePulpMode = game.settings.get("shadowdark", "usePulpMode");
+
+		context.members = [];
+		for (const member of this.actor.partyMembers()) {
+			const lights = await member.getActiveLightSources();
+
+			context.members.push({
+				ac: member.system.attributes.ac.value,
+				hp: member.system.attributes.hp,
+				id: member.id,
+				img: member.img,
+				level: member.system.level.value,
+				lights: lights.map(light => ({
+					name: light.name,
+					minutes: Math.ceil(light.system.light.remainingSecs / 60),
+				})),
+				luck: member.system.luck,
+				name: member.name,
+				order: context.members.length + 1,
+				readyToLevelUp: member.isReadyToLevelUp(),
+			});
+		}
+
+		this._prepareStash(context);
+
+		return context;
+	}
+
+	async _onAwardXp(event) {
+		event.preventDefault();
+
+		new shadowdark.apps.XpAwardSD(this.actor).render(true);
+	}
+
+	/** @override */
+	async _onDropActor(event, data) {
+		if (!this.isEditable) return false;
+
+		const actor = await Actor.implementation.fromDropData(data);
+
+		if (actor?.type !== "Player" || actor.pack) {
+			ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.sheet.party.error.not_a_player")
+			);
+			return false;
+		}
+
+		const members = this.actor.system.members;
+		if (members.includes(actor.id)) return false;
+
+		return this.actor.update({"system.members": [...members, actor.id]});
+	}
+
+	/**
+	 * Only physical items can be stashed. Items dropped from another actor
+	 * are moved into the stash rather than copied, along with the contents
+	 * of containers.
+	 *
+	 * @override
+	 */
+	async _onDropItem(event, data) {
+		if (!this.isEditable) return false;
+
+		const item = await fromUuid(data.uuid);
+
+		if (!item?.system.isPhysical) {
+			ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.sheet.party.error.not_physical")
+			);
+			return false;
+		}
+
+		if (!item.actor) return super._onDropItem(event, data);
+		if (item.actor.id === this.actor.id) return;
+
+		if (item.isActiveLight()) {
+			ui.notifications.warn(
+				game.i18n.localize("SHADOWDARK.sheet.party.error.active_light")
+			);
+			return false;
+		}
+
+		const itemData = item.toObject();
+		itemData.system.equipped = false;
+		itemData.system.stashed = false;
+
+		// The original is only deleted once its copy has been made
+		const created = await this._onDropItemCreate(itemData);
+		if (!Array.isArray(created) || created.length === 0) return false;
+
+		const contents = await this._onDropContainerContents(item, created[0]);
+
+		await item.actor.deleteEmbeddedDocuments("Item", [
+			item.id,
+			...contents.map(content => content.id),
+		]);
+	}
+
+	async _onGiveCoins(event) {
+		event.preventDefault();
+
+		const members = this.actor.partyMembers();
+		if (members.length === 0) return;
+
+		const content = await renderTemplate(
+			"systems/shadowdark/templates/dialog/party-give-coins.hbs"
+		);
+
+		const coins = await Dialog.wait({
+			title: game.i18n.localize("SHADOWDARK.sheet.party.give_coins"),
+			content,
+			buttons: {
+				give: {
+					icon: "<i class=\"fa-solid fa-coins\"></i>",
+					label: game.i18n.localize("SHADOWDARK.sheet.party.give_coins"),
+					callback: html => ({
+						gp: parseInt(html.find("#coins-gp").val()) || 0,
+						sp: parseInt(html.find("#coins-sp").val()) || 0,
+						cp: parseInt(html.find("#coins-cp").val()) || 0,
+					}),
+				},
+				cancel: {
+					icon: "<i class=\"fa fa-times\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.general.cancel"),
+					callback: () => false,
+				},
+			},
+			default: "give",
+			close: () => false,
+		});
+
+		if (!coins) return;
+
+		for (const member of members) {
+			const memberCoins = member.system.coins;
+			await member.update({
+				"system.coins.gp": memberCoins.gp + coins.gp,
+				"system.coins.sp": memberCoins.sp + coins.sp,
+				"system.coins.cp": memberCoins.cp + coins.cp,
+			});
+		}
+
+		ui.notifications.info(
+			game.i18n.format("SHADOWDARK.sheet.party.coins_given", {
+				...coins,
+				party: this.actor.name,
+			})
+		);
+	}
+
+	async _onMoveMember(event, offset) {
+		event.preventDefault();
+
+		const actorId = $(event.currentTarget).data("actor-id");
+		const members = [...this.actor.system.members];
+
+		const index = members.indexOf(actorId);
+		const newIndex = index + offset;
+		if (index < 0 || newIndex < 0 || newIndex >= members.length) return;
+
+		members.splice(index, 1);
+		members.splice(newIndex, 0, actorId);
+
+		await this.actor.update({"system.members": members});
+	}
+
+	async _onOpenMember(event) {
+		event.preventDefault();
+
+		const actorId = $(event.currentTarget).data("actor-id");
+		game.actors.get(actorId)?.sheet.render(true);
+	}
+
+	async _onPartyRest(event) {
+		event.preventDefault();
+
+		const members = this.actor.partyMembers();
+		const rest = async interrupted => {
+			for (const member of members) {
+				await member.rest({interrupted});
+			}
+		};
+
+		new Dialog({
+			title: game.i18n.localize("SHADOWDARK.dialog.rest.title"),
+			content: `<p>${game.i18n.localize("SHADOWDARK.dialog.rest.prompt")}</p>`,
+			buttons: {
+				rest: {
+					icon: "<i class=\"fas fa-bed\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.rest.rest"),
+					callback: () => rest(false),
+				},
+				interrupted: {
+					icon: "<i class=\"fas fa-bolt\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.rest.interrupted"),
+					callback: () => rest(true),
+				},
+			},
+			default: "rest",
+		}).render(true);
+	}
+
+	async _onRemoveMember(event) {
+		event.preventDefault();
+
+		const actorId = $(event.currentTarget).data("actor-id");
+
+		await this.actor.update({
+			"system.members": this.actor.system.members.filter(
+				id => id !== actorId
+			),
+		});
+	}
+
+	/**
+	 * Works out the gear slots used by the stash. Unlike a character, the
+	 * stash gets no free carry items. Items in a container only count if
+	 * the container says so.
+	 *
+	 * @param {object} context
+	 */
+	_prepareStash(context) {
+		const stash = [];
+		let gems = 0;
+		let slotsUsed = 0;
+
+		for (const item of context.items) {
+			if (!item.system.isPhysical) continue;
+
+			if (item.type === "Gem") {
+				gems++;
+			}
+			else {
+				const perSlot = item.system.slots.per_slot;
+				const quantity = item.system.quantity;
+
+				item.showQuantity = perSlot > 1;
+				item.slotsUsed = Math.ceil(quantity / perSlot)
+					* item.system.slots.slots_used;
+
+				const container = this.actor.items.get(item._id).getContainer();
+				if (!container || container.system.container.countsContents) {
+					slotsUsed += item.slotsUsed;
+				}
+			}
+
+			stash.push(item);
+		}
+
+		slotsUsed += Math.ceil(gems / CONFIG.SHADOWDARK.DEFAULTS.GEMS_PER_SLOT);
+
+		context.stash = stash.sort((a, b) => a.name.localeCompare(b.name));
+		context.gearSlots = this.actor.numGearSlots();
+		context.slotsUsed = slotsUsed;
+	}
+}
@@ -5,6 +5,7 @@ export default class PlayerSheetSD extends ActorSheetSD {
 	constructor(object, options) {
 		super(object, options);
 
+		this.collapsedContainers = new Set();
 		this.editingHp = false;
 		this.editingStats = false;
 		this.gemBag = new shadowdark.apps.GemBagSD(this.actor);
@@ -51,6 +52,10 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			event => this._onCastSpell(event)
 		);
 
+		html.find("[data-action='complete-penance']").click(
+			event => this._onCompletePenance(event)
+		);
+
 		html.find("[data-action='create-boon']").click(
 			event => this._onCreateBoon(event)
 		);
@@ -83,14 +88,30 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			event => this._onOpenSpellBook(event)
 		);
 
+		html.find("[data-action='open-carousing']").click(
+			event => this._onOpenCarousing(event)
+		);
+
 		html.find("[data-action='open-gem-bag']").click(
 			event => this._onOpenGemBag(event)
 		);
 
+		html.find("[data-action='remove-from-container']").click(
+			event => this._onRemoveFromContainer(event)
+		);
+
+		html.find("[data-action='rest']").click(
+			event => this._onRest(event)
+		);
+
 		html.find("[data-action='sell-treasure']").click(
 			event => this._onSellTreasure(event)
 		);
 
+		html.find("[data-action='toggle-container']").click(
+			event => this._onToggleContainer(event)
+		);
+
 		html.find("[data-action='toggle-edit-hp']").click(
 			event => this._onToggleEditHp(event)
 		);
@@ -151,6 +172,12 @@ export default class PlayerSheetSD extends ActorSheetSD {
 				tooltip: game.i18n.localize("SHADOWDARK.sheet.player.deity.tooltip"),
 				item: await fromUuid(system.deity) ?? null,
 			},
+			patron: {
+				name: "patron",
+				label: game.i18n.localize("SHADOWDARK.sheet.player.patron.label"),
+				tooltip: game.i18n.localize("SHADOWDARK.sheet.player.patron.tooltip"),
+				item: await fromUuid(system.patron) ?? null,
+			},
 		};
 
 		return data;
@@ -171,8 +198,8 @@ export default class PlayerSheetSD extends ActorSheetSD {
 		const context = await super.getData(options);
 		context.gearSlots = this.actor.numGearSlots();
 
-		context.xpNextLevel = context.system.level.value * 10;
-		context.levelUp = (context.system.level.xp >= context.xpNextLevel);
+		context.xpNextLevel = this.actor.xpForNextLevel();
+		context.levelUp = this.actor.isReadyToLevelUp();
 
 		context.system.attributes.ac.value = await this.actor.getArmorClass();
 
@@ -207,6 +234,9 @@ export default class PlayerSheetSD extends ActorSheetSD {
 		context.characterClass = await this.actor.getClass();
 		context.classTitle = await this.actor.getTitle();
 
+		context.showPatron = context.characterClass?.system.patronBoons
+			|| this.actor.system.patron !== "";
+
 		context.usePulpMode = game.settings.get("shadowdark", "usePulpMode");
 
 		context.editingHp = this.editingHp;
@@ -229,6 +259,8 @@ export default class PlayerSheetSD extends ActorSheetSD {
 				return this.actor.addDeity(item);
 			case "Language":
 				return this.actor.addLanguage(item);
+			case "Patron":
+				return this.actor.addPatron(item);
 		}
 	}
 
@@ -254,6 +286,22 @@ export default class PlayerSheetSD extends ActorSheetSD {
 
 		if (await this._effectDropNotAllowed(data)) return false;
 
+		// Physical items can be put into, or taken out of, containers
+		if (item.system.isPhysical) {
+			const container = this._getDropContainer(event);
+
+			if (item.actor?.id === this.actor.id) {
+				const containerId = container?.id ?? "";
+
+				if (containerId !== item.system.containerId && containerId !== item.id) {
+					return this.actor.moveToContainer(item, container);
+				}
+			}
+			else if (container) {
+				return this._onDropItemIntoContainer(item, container);
+			}
+		}
+
 		// Talents & Effects may need some user input
 		if (["Talent", "Effect"].includes(item.type)) {
 			let itemObj = await shadowdark.utils.createItemWithEffect(item);
@@ -272,6 +320,7 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			"Class",
 			"Deity",
 			"Language",
+			"Patron",
 		];
 
 		if (backgroundItems.includes(item.type)) {
@@ -283,6 +332,20 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			return this._dropActivateLightSource(item);
 		}
 
+		// Items taken from a Party stash are moved rather than copied, so
+		// the original is only deleted once its copy has been made
+		if (item.actor?.type === "Party") {
+			const created = await super._onDropItem(event, data);
+			if (!Array.isArray(created) || created.length === 0) return false;
+
+			const contents = await this._onDropContainerContents(item, created[0]);
+
+			return item.actor.deleteEmbeddedDocuments("Item", [
+				item.id,
+				...contents.map(content => content.id),
+			]);
+		}
+
 		// is a light base item being dropped from a different actor?
 		if (item.isLight() && item.actor && (item.actor._id !== this.actor._id)) {
 			const isActiveLight = item.isActiveLight();
@@ -297,7 +360,10 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			}
 
 			// Now create a copy of the item on the target
-			const [newItem] = await super._onDropItem(event, data);
+			const created = await super._onDropItem(event, data);
+			if (!Array.isArray(created) || created.length === 0) return false;
+
+			const [newItem] = created;
 
 			if (isActiveLight) {
 				// Turn the original light off before it gets deleted, and
@@ -312,10 +378,58 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			);
 		}
 		else {
-			super._onDropItem(event, data);
+			const created = await super._onDropItem(event, data);
+			if (!Array.isArray(created) || created.length === 0) return false;
+
+			// Containers from another actor bring their contents with them
+			if (item.isContainer() && item.actor && item.actor.id !== this.actor.id) {
+				await this._onDropContainerContents(item, created[0]);
+			}
 		}
 	}
 
+	/**
+	 * Creates a copy of an item from elsewhere inside one of this actor's
+	 * containers. Items from a Party stash and light sources from another
+	 * actor are moved, as they are when dropped anywhere else on the sheet.
+	 *
+	 * @param {ItemSD} item - The item that was dropped
+	 * @param {ItemSD} container - The container it was dropped onto
+	 * @returns {Promise<Array<ItemSD>|false>}
+	 */
+	async _onDropItemIntoContainer(item, container) {
+		if (!container.canContain(item)) return false;
+
+		const itemData = item.toObject();
+		itemData.system.containerId = container.id;
+		itemData.system.equipped = false;
+		itemData.system.stashed = false;
+
+		const created = await this._onDropItemCreate(itemData);
+		if (!Array.isArray(created) || created.length === 0) return false;
+
+		if (item.actor?.type === "Party" || (item.isLight() && item.actor)) {
+			await item.actor.deleteEmbeddedDocuments("Item", [item.id]);
+		}
+
+		return created;
+	}
+
+	/**
+	 * The container on this sheet that an item was dropped onto, if any.
+	 *
+	 * @param {DragEvent} event
+	 * @returns {ItemSD|undefined}
+	 */
+	_getDropContainer(event) {
+		const containerId = $(event.target)
+			.closest("[data-container-id]")
+			.data("container-id");
+
+		const container = this.actor.items.get(containerId ?? "");
+		return container?.isContainer() ? container : undefined;
+	}
+
 	/**
 	 * Actives a lightsource if dropped onto the Player sheet. Used for
 	 * activating Light spell et.c.
@@ -547,6 +661,54 @@ export default class PlayerSheetSD extends ActorSheetSD {
 		}
 	}
 
+	async _onRemoveFromContainer(event) {
+		event.preventDefault();
+
+		const itemId = $(event.currentTarget).data("item-id");
+		const item = this.actor.getEmbeddedDocument("Item", itemId);
+
+		await this.actor.moveToContainer(item);
+	}
+
+	async _onRest(event) {
+		event.preventDefault();
+
+		new Dialog({
+			title: game.i18n.localize("SHADOWDARK.dialog.rest.title"),
+			content: `<p>${game.i18n.localize("SHADOWDARK.dialog.rest.prompt")}</p>`,
+			buttons: {
+				rest: {
+					icon: "<i class=\"fas fa-bed\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.rest.rest"),
+					callback: () => this.actor.rest(),
+				},
+				interrupted: {
+					icon: "<i class=\"fas fa-bolt\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.rest.interrupted"),
+					callback: () => this.actor.rest({interrupted: true}),
+				},
+			},
+			default: "rest",
+		}).render(true);
+	}
+
+	_onToggleContainer(event) {
+		event.preventDefault();
+
+		const itemId = $(event.currentTarget).data("item-id");
+
+		if (this.collapsedContainers.has(itemId)) {
+			this.collapsedContainers.delete(itemId);
+		}
+		else {
+			this.collapsedContainers.add(itemId);
+		}
+
+		$(event.currentTarget).toggleClass("fa-caret-down fa-caret-right");
+		this.element.find(`.container-contents[data-container-id="${itemId}"]`)
+			.toggleClass("collapsed");
+	}
+
 	async _onToggleEditHp(event) {
 		this.editingHp = !this.editingHp;
 		this.render();
@@ -569,6 +731,35 @@ export default class PlayerSheetSD extends ActorSheetSD {
 		}
 	}
 
+	async _onCompletePenance(event) {
+		event.preventDefault();
+
+		const itemId = $(event.currentTarget).data("item-id");
+		const penance = this.actor.system.penance.find(p => p.itemId === itemId);
+		if (!penance) return;
+
+		new Dialog({
+			title: game.i18n.localize("SHADOWDARK.dialog.penance.title"),
+			content: `<p>${game.i18n.format("SHADOWDARK.dialog.penance.prompt", {
+				cost: penance.cost,
+				spell: penance.name,
+			})}</p>`,
+			buttons: {
+				coins: {
+					icon: "<i class=\"fa-solid fa-coins\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.penance.pay_coins"),
+					callback: () => this.actor.completePenance(itemId, true),
+				},
+				other: {
+					icon: "<i class=\"fa-solid fa-hands-praying\"></i>",
+					label: game.i18n.localize("SHADOWDARK.dialog.penance.other_sacrifice"),
+					callback: () => this.actor.completePenance(itemId),
+				},
+			},
+			default: "coins",
+		}).render(true);
+	}
+
 	async _onLearnSpell(event) {
 		event.preventDefault();
 
@@ -604,6 +795,12 @@ export default class PlayerSheetSD extends ActorSheetSD {
 		}
 	}
 
+	async _onOpenCarousing(event) {
+		event.preventDefault();
+
+		new shadowdark.apps.CarousingSD([this.actor.id]).render(true);
+	}
+
 	async _onOpenGemBag(event) {
 		event.preventDefault();
 
@@ -769,20 +966,8 @@ export default class PlayerSheetSD extends ActorSheetSD {
 	async _prepareItems(context) {
 		const gems = [];
 
-		const boons = {
-			blessing: {
-				label: game.i18n.localize("SHADOWDARK.boons.blessing"),
-				items: [],
-			},
-			oath: {
-				label: game.i18n.localize("SHADOWDARK.boons.oath"),
-				items: [],
-			},
-			secret: {
-				label: game.i18n.localize("SHADOWDARK.boons.secret"),
-				items: [],
-			},
-		};
+		// Boons are grouped by the patron that granted them
+		const boonsByPatron = {};
 
 		const inventory = {
 			equipped: [],
@@ -837,34 +1022,25 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			gems: 0,
 		};
 
-		const freeCarrySeen = {};
+		const slotsByItem = this.actor.gearSlotsByItem();
+
+		// Items in a container are listed under it instead of in the
+		// inventory
+		const containerContents = {};
 
 		for (const i of this._sortAllItems(context)) {
 			if (i.system.isPhysical && i.type !== "Gem") {
 				i.showQuantity = i.system.slots.per_slot > 1 ? true : false;
 
-				// We calculate how many slots are used by this item, taking
-				// into account the quantity and any free items.
-				//
-				let freeCarry = i.system.slots.free_carry;
+				i.slotsUsed = slotsByItem.get(i._id);
 
-				if (Object.hasOwn(freeCarrySeen, i.name)) {
-					freeCarry = Math.max(0, freeCarry - freeCarrySeen[i.name]);
-					freeCarrySeen[i.name] += freeCarry;
-				}
-				else {
-					freeCarrySeen[i.name] = freeCarry;
+				const container = this.actor.items.get(i._id).getContainer();
+				if (container) {
+					containerContents[container.id] ??= [];
+					containerContents[container.id].push(i);
+					continue;
 				}
 
-				const perSlot = i.system.slots.per_slot;
-				const quantity = i.system.quantity;
-				const slotsUsed = i.system.slots.slots_used;
-
-				let totalSlotsUsed = Math.ceil(quantity / perSlot) * slotsUsed;
-				totalSlotsUsed -= freeCarry * slotsUsed;
-
-				i.slotsUsed = totalSlotsUsed;
-
 				// calculate slot usage
 				if (!i.system.stashed) {
 					if (i.system.treasure) {
@@ -938,8 +1114,14 @@ export default class PlayerSheetSD extends ActorSheetSD {
 				}
 			}
 			else if (i.type === "Boon") {
-				if (boons[i.system.boonType]) {
-					boons[i.system.boonType].items.push(i);
+				if (CONFIG.SHADOWDARK.BOON_TYPES[i.system.boonType]) {
+					i.boonTypeLabel = game.i18n.localize(
+						CONFIG.SHADOWDARK.BOON_TYPES[i.system.boonType]
+					);
+
+					const patron = i.system.patron ?? "";
+					boonsByPatron[patron] ??= [];
+					boonsByPatron[patron].push(i);
 				}
 			}
 			else if (i.type === "Gem") {
@@ -950,6 +1132,14 @@ export default class PlayerSheetSD extends ActorSheetSD {
 				spells[spellTier] ||= [];
 				spells[spellTier].push(i);
 			}
+			else if (i.type === "Talent" && i.system.patron) {
+				// Talents rolled on a patron's boon table are listed with
+				// their boons
+				i.boonTypeLabel = game.i18n.localize("SHADOWDARK.item_type.talent");
+
+				boonsByPatron[i.system.patron] ??= [];
+				boonsByPatron[i.system.patron].push(i);
+			}
 			else if (i.type === "Talent") {
 				const talentClass = i.system.talentClass;
 				talents[talentClass].items.push(i);
@@ -972,6 +1162,23 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			}
 		}
 
+		// Containers only add the slots used by their contents to the total
+		// if their rules say so
+		for (const i of Object.values(inventory).flat()) {
+			if (!i.system.container.isContainer) continue;
+
+			i.isContainer = true;
+			i.collapsed = this.collapsedContainers.has(i._id);
+			i.contents = containerContents[i._id] ?? [];
+			i.contentsSlotsUsed = i.contents.reduce(
+				(total, content) => total + content.slotsUsed, 0
+			);
+
+			if (i.system.container.countsContents && !i.system.stashed) {
+				slots.gear += i.contentsSlotsUsed;
+			}
+		}
+
 		// Work out how many slots all these coins are taking up...
 		const coins = this.actor.system.coins;
 		const totalCoins = coins.gp + coins.sp + coins.cp;
@@ -988,7 +1195,7 @@ export default class PlayerSheetSD extends ActorSheetSD {
 		}
 
 		// calculate total slots
-		slots.total = slots.gear + slots.treasure + slots.coins + slots.gems;
+		slots.total = this.actor.gearSlotsUsed();
 
 		const classAbilities = [];
 
@@ -1000,6 +1207,19 @@ export default class PlayerSheetSD extends ActorSheetSD {
 			});
 		}
 
+		// Boons without a patron are listed first, then each patron's boons
+		const boons = [];
+		for (const [uuid, items] of Object.entries(boonsByPatron)) {
+			boons.push({
+				name: uuid ? (await fromUuid(uuid))?.name ?? "" : "",
+				items: items.sort(
+					(a, b) => a.boonTypeLabel.localeCompare(b.boonTypeLabel)
+						|| a.name.localeCompare(b.name)
+				),
+			});
+		}
+		boons.sort((a, b) => a.name.localeCompare(b.name));
+
 		// Sort talents by level for display...
 		talents.level.items = talents.level.items.sort(
 			(a, b) => a.system.level - b.system.level
@@ -1,5 +1,6 @@
 export {default as ActorSheetSD} from "./ActorSheetSD.mjs";
 export {default as ItemSheetSD} from "./ItemSheetSD.mjs";
 export {default as NpcSheetSD} from "./NpcSheetSD.mjs";
+export {default as PartySheetSD} from "./PartySheetSD.mjs";
 export {default as PlayerSheetSD} from "./PlayerSheetSD.mjs";
 export {default as LightSheetSD} from "./LightSheetSD.mjs";
@@ -1,3 +1,5 @@
+import { recordDamageApplications } from "./chat/hooks.mjs";
+
 export default function listenOnSocket() {
 
 	game.socket.on("system.shadowdark", event => {
@@ -43,6 +45,23 @@ export default function listenOnSocket() {
 			);
 		}
 
+		if (event.type === "recordDamageApplications" && shadowdark.utils.isPrimaryGM()) {
+			const message = game.messages.get(event.data.messageId);
+
+			if (message) {
+				recordDamageApplications(message, event.data.applications);
+			}
+		}
+
+		if (event.type === "resolveContest" && shadowdark.utils.isPrimaryGM()) {
+			const actor = fromUuidSync(event.data.actorUuid);
+			const message = game.messages.get(event.data.messageId);
+
+			if (actor && message) {
+				actor.resolveContest(message, event.data.response);
+			}
+		}
+
 		if (event.type === "toggleLightSource" && game.user.isGM) {
 			game.shadowdark.lightSourceTracker.toggleLightSource(
 				event.data.actor,
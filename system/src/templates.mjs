@@ -3,6 +3,7 @@ export default function() {
 		"systems/shadowdark/templates/actors/npc/abilities.hbs",
 		"systems/shadowdark/templates/actors/npc/abilities/attacks.hbs",
 		"systems/shadowdark/templates/actors/npc/abilities/features.hbs",
+		"systems/shadowdark/templates/actors/npc/abilities/routines.hbs",
 		"systems/shadowdark/templates/actors/npc/abilities/specials.hbs",
 		"systems/shadowdark/templates/actors/npc/description.hbs",
 		"systems/shadowdark/templates/actors/npc/partials/ability-scores.hbs",
@@ -10,7 +11,11 @@ export default function() {
 		"systems/shadowdark/templates/actors/npc/partials/hp.hbs",
 		"systems/shadowdark/templates/actors/npc/partials/level.hbs",
 		"systems/shadowdark/templates/actors/npc/spells.hbs",
+		"systems/shadowdark/templates/actors/partials/defenses.hbs",
 		"systems/shadowdark/templates/actors/partials/effects.hbs",
+		"systems/shadowdark/templates/actors/party/members.hbs",
+		"systems/shadowdark/templates/actors/party/notes.hbs",
+		"systems/shadowdark/templates/actors/party/stash.hbs",
 		"systems/shadowdark/templates/actors/player/abilities.hbs",
 		"systems/shadowdark/templates/actors/player/abilities/ac.hbs",
 		"systems/shadowdark/templates/actors/player/abilities/attacks.hbs",
@@ -22,6 +27,7 @@ export default function() {
 		"systems/shadowdark/templates/actors/player/details/boons.hbs",
 		"systems/shadowdark/templates/actors/player/inventory.hbs",
 		"systems/shadowdark/templates/actors/player/inventory/coins.hbs",
+		"systems/shadowdark/templates/actors/player/inventory/container-contents.hbs",
 		"systems/shadowdark/templates/actors/player/inventory/gems.hbs",
 		"systems/shadowdark/templates/actors/player/inventory/slots.hbs",
 		"systems/shadowdark/templates/actors/player/notes.hbs",
@@ -34,6 +40,7 @@ export default function() {
 		"systems/shadowdark/templates/items/partials/choice-selector.hbs",
 		"systems/shadowdark/templates/items/partials/class-ability.hbs",
 		"systems/shadowdark/templates/items/partials/class.hbs",
+		"systems/shadowdark/templates/items/partials/container.hbs",
 		"systems/shadowdark/templates/items/partials/cost.hbs",
 		"systems/shadowdark/templates/items/partials/deity.hbs",
 		"systems/shadowdark/templates/items/partials/duration.hbs",
@@ -44,6 +51,7 @@ export default function() {
 		"systems/shadowdark/templates/items/partials/npc-attack.hbs",
 		"systems/shadowdark/templates/items/partials/npc-special-attack.hbs",
 		"systems/shadowdark/templates/items/partials/npc-spell.hbs",
+		"systems/shadowdark/templates/items/partials/patron.hbs",
 		"systems/shadowdark/templates/items/partials/properties.hbs",
 		"systems/shadowdark/templates/items/partials/property.hbs",
 		"systems/shadowdark/templates/items/partials/slots.hbs",
@@ -57,10 +65,13 @@ export default function() {
 		"systems/shadowdark/templates/items/tabs/source.hbs",
 		"systems/shadowdark/templates/items/tabs/spellsknown.hbs",
 		"systems/shadowdark/templates/items/tabs/titles.hbs",
+		"systems/shadowdark/templates/partials/attack-targets.hbs",
 		"systems/shadowdark/templates/partials/details/armor.hbs",
+		"systems/shadowdark/templates/partials/actor-chat-card.hbs",
 		"systems/shadowdark/templates/partials/details/default.hbs",
 		"systems/shadowdark/templates/partials/details/spell.hbs",
 		"systems/shadowdark/templates/partials/details/weapon.hbs",
+		"systems/shadowdark/templates/partials/roll-notes.hbs",
 		"systems/shadowdark/templates/partials/weapon-attack.hbs",
 		"systems/shadowdark/templates/ui/sd-box.hbs",
 	];
@@ -87,6 +87,18 @@ export default class UtilitySD {
 		return [selectedItems, unselectedItems];
 	}
 
+	/**
+	 * Near is 30 feet, or six 5 feet squares, so unless a scene says
+	 * otherwise it covers six of the scene's grid squares.
+	 *
+	 * @param {Scene} scene
+	 * @returns {number} - The distance in the scene's units
+	 */
+	static getDefaultNearDistance(scene=canvas.scene) {
+		return (CONFIG.SHADOWDARK.RANGE_DISTANCES.near / 5)
+			* (scene?.grid.distance ?? 5);
+	}
+
 	static async getFromUuid(uuid) {
 		const itemObj = await fromUuid(uuid);
 		if (itemObj) {
@@ -127,12 +139,86 @@ export default class UtilitySD {
 		return die;
 	}
 
+	/**
+	 * Works out which range band a distance falls in. Anything beyond double
+	 * near is far.
+	 *
+	 * @param {number} distance - The distance in the scene's units
+	 * @param {Scene} scene
+	 * @returns {string} - A key of `CONFIG.SHADOWDARK.RANGE_BANDS`
+	 */
+	static getRangeBand(distance, scene=canvas.scene) {
+		const distances = this.getRangeDistances(scene);
+
+		return ["close", "near", "doubleNear"].find(
+			band => distance <= distances[band]
+		) ?? "far";
+	}
+
+	/**
+	 * The distance covered by each range band in the scene's own units. Near
+	 * can be set for each scene, and the other bands are scaled to match it.
+	 *
+	 * @param {Scene} scene
+	 * @returns {object} - Distances keyed by range band
+	 */
+	static getRangeDistances(scene=canvas.scene) {
+		const feet = CONFIG.SHADOWDARK.RANGE_DISTANCES;
+
+		const near = scene?.getFlag("shadowdark", "nearDistance")
+			|| this.getDefaultNearDistance(scene);
+
+		const distances = {};
+		for (const [band, distance] of Object.entries(feet)) {
+			distances[band] = distance * (near / feet.near);
+		}
+		return distances;
+	}
+
 	static async getSlugifiedItemList(items) {
 		const itemList = {};
 		items.map(i => itemList[i.name.slugify()] = i.name );
 		return itemList;
 	}
 
+	/**
+	 * The UUID of the document a table result links to, if it links to one.
+	 *
+	 * @param {TableResult} result
+	 * @returns {string|null}
+	 */
+	static getTableResultUuid(result) {
+		if (result.documentUuid) return result.documentUuid;
+
+		if (result.type === CONST.TABLE_RESULT_TYPES.COMPENDIUM) {
+			const pack = game.packs.get(result.documentCollection);
+			if (!pack) return null;
+
+			return `Compendium.${pack.collection}.${pack.documentName}.${result.documentId}`;
+		}
+		else if (result.type === CONST.TABLE_RESULT_TYPES.DOCUMENT) {
+			return `${result.documentCollection}.${result.documentId}`;
+		}
+		return null;
+	}
+
+	/**
+	 * Measures the distance between two tokens, from the nearest edges of
+	 * any tokens bigger than a single grid square.
+	 *
+	 * @param {Token} token
+	 * @param {Token} target
+	 * @returns {number} - The distance in the scene's units
+	 */
+	static getTokenDistance(token, target) {
+		const {distance} = canvas.grid.measurePath([token.center, target.center]);
+
+		const extraSize = Math.max(token.document.width - 1, 0)
+			+ Math.max(target.document.width - 1, 0);
+
+		return Math.max(distance - ((extraSize / 2) * canvas.grid.distance), 0);
+	}
+
 	// If this is a new release, show the release notes to the GM the first time
 	// they login
 	static async showNewReleaseNotes() {